@@ -0,0 +1,262 @@
+// Background service worker: keeps open LinkedIn tabs and the feed redirect rule in
+// step with time-based state (schedule boundaries and the end of a snooze), and runs
+// the keyboard shortcuts declared under "commands" in the manifest
+importScripts('i18n.js', 'settings.js', 'schedule.js', 'redirect.js', 'unlock.js', 'pin.js', 'stats.js', 'storage.js');
+
+const SCHEDULE_ALARM = 'feedless-schedule';
+const SNOOZE_ALARM = 'feedless-snooze';
+const LINKEDIN_TABS = { url: 'https://*.linkedin.com/*' };
+
+// Usage increments waiting to be written, each { field, amount, callback }
+let usageQueue = [];
+let usageWriting = false;
+
+// How long the snooze shortcut shows the feed; the command description names it too
+const SNOOZE_COMMAND_MINUTES = 15;
+
+// Ask every open LinkedIn tab to re-apply the blocker state from storage; `action` is
+// one of the message actions content.js listens for
+function broadcastBlockerRefresh(action = 'refreshBlockerState') {
+  try {
+    chrome.tabs.query(LINKEDIN_TABS, function(tabs) {
+      if (chrome.runtime.lastError) {
+        console.error('Error querying LinkedIn tabs:', chrome.runtime.lastError);
+        return;
+      }
+
+      tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, { action: action }, function() {
+          // Tabs that have not loaded the content script yet will pick the state up on load
+          void chrome.runtime.lastError;
+        });
+      });
+    });
+  } catch (error) {
+    console.error('Error broadcasting blocker refresh:', error);
+  }
+}
+
+// Set an alarm for the next moment the schedule flips between blocked and open
+function scheduleNextBoundary() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const settings = resolveSettings(result);
+
+    chrome.alarms.clear(SCHEDULE_ALARM, function() {
+      if (!settings.scheduleEnabled) return;
+
+      const next = getNextScheduleChange(settings.scheduleWindows, new Date());
+      if (next) {
+        chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+      }
+    });
+  });
+}
+
+// Set an alarm for the end of the running snooze, or clear a snooze that has already expired
+function scheduleSnoozeEnd() {
+  safeStorageGet(['snoozeUntil'], function(result) {
+    const snoozeUntil = result.snoozeUntil || 0;
+
+    chrome.alarms.clear(SNOOZE_ALARM, function() {
+      if (isSnoozed(snoozeUntil, new Date())) {
+        chrome.alarms.create(SNOOZE_ALARM, { when: snoozeUntil });
+      } else if (snoozeUntil) {
+        safeStorageSet({ snoozeUntil: 0 });
+      }
+    });
+  });
+}
+
+// Replace the feed redirect rules with the ones for the current settings, schedule, snooze and PIN
+function updateRedirectRules() {
+  safeStorageGet(SETTING_KEYS.concat('snoozeUntil', 'pinLock'), function(result) {
+    const settings = resolveSettings(result);
+    const addRules = buildRedirectRules(settings, new Date(), getEffectiveSnoozeUntil(result),
+      isFeedEscapeAllowed(settings, result.pinLock));
+
+    try {
+      chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: [REDIRECT_RULE_ID, ESCAPE_RULE_ID],
+        addRules: addRules
+      }, function() {
+        if (chrome.runtime.lastError) {
+          console.error('Error updating redirect rules:', chrome.runtime.lastError);
+        }
+      });
+    } catch (error) {
+      console.error('Error updating redirect rules:', error);
+    }
+  });
+}
+
+// Open the popup, where the PIN and the unlock gate can be satisfied
+function openPopupForGate() {
+  const openInTab = () => chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') });
+
+  // Before Chrome 127 only policy-installed extensions may open their popup
+  if (typeof chrome.action.openPopup !== 'function') {
+    openInTab();
+    return;
+  }
+  chrome.action.openPopup().catch(openInTab);
+}
+
+// Whether turning the blocker off or snoozing it has to go through the popup
+function isCommandGated(result, settings) {
+  return isPinLockSet(result.pinLock) || isUnlockGated(settings);
+}
+
+// Queue a usage increment; tabs and pages record through here so no two writes interleave
+function queueUsage(field, amount, callback) {
+  if (!USAGE_FIELDS.includes(field) || !(amount > 0)) {
+    if (callback) callback();
+    return;
+  }
+
+  usageQueue.push({ field: field, amount: amount, callback: callback });
+  if (!usageWriting) writeQueuedUsage();
+}
+
+// Write everything queued in one read-modify-write, then whatever arrived meanwhile
+function writeQueuedUsage() {
+  const pending = usageQueue;
+  usageQueue = [];
+
+  if (pending.length === 0) {
+    usageWriting = false;
+    return;
+  }
+  usageWriting = true;
+
+  const done = function() {
+    pending.forEach(entry => {
+      if (entry.callback) entry.callback();
+    });
+    writeQueuedUsage();
+  };
+
+  safeStorageGet(SETTING_KEYS.concat('usageStats'), function(result) {
+    // The user turned statistics off
+    if (!resolveSettings(result).statsEnabled) {
+      done();
+      return;
+    }
+
+    const now = new Date();
+    const stats = pending.reduce((updated, entry) => addUsage(updated, now, entry.field, entry.amount), result.usageStats);
+    safeStorageSet({ usageStats: stats }, done);
+  });
+}
+
+// Shortcut: switch the feed blocker; switching it off is handed to the popup when gated
+function toggleFeedBlockerCommand() {
+  safeStorageGet(SETTING_KEYS.concat(PIN_STORAGE_KEYS), function(result) {
+    const settings = resolveSettings(result);
+    const isEnabled = !settings.feedBlockerEnabled;
+
+    // The managed policy fixes the blocker either way
+    if (getLockedSettingKeys(result).includes('feedBlockerEnabled')) return;
+
+    if (!isEnabled && isCommandGated(result, settings)) {
+      openPopupForGate();
+      return;
+    }
+
+    safeStorageSet({ feedBlockerEnabled: isEnabled }, function(success) {
+      if (!success) return;
+
+      broadcastBlockerRefresh('toggleFeedBlocker');
+      if (!isEnabled) queueUsage('disables', 1);
+    });
+  });
+}
+
+// Shortcut: show the feed for SNOOZE_COMMAND_MINUTES, if it is blocked right now
+function snoozeFeedCommand() {
+  safeStorageGet(SETTING_KEYS.concat('snoozeUntil', PIN_STORAGE_KEYS), function(result) {
+    const settings = resolveSettings(result);
+    if (!isFeedBlockingActive(settings, new Date(), getEffectiveSnoozeUntil(result))) return;
+
+    // A feed blocker fixed by the managed policy cannot be snoozed either
+    if (getLockedSettingKeys(result).includes('feedBlockerEnabled')) return;
+
+    if (isCommandGated(result, settings)) {
+      openPopupForGate();
+      return;
+    }
+
+    safeStorageSet({ snoozeUntil: Date.now() + SNOOZE_COMMAND_MINUTES * 60 * 1000 }, function(success) {
+      if (!success) return;
+
+      broadcastBlockerRefresh();
+      queueUsage('snoozes', 1);
+    });
+  });
+}
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.action === 'recordUsage') {
+    queueUsage(request.field, request.amount, () => sendResponse({ success: true }));
+    return true; // Keep the message channel open until the write is done
+  }
+});
+
+chrome.commands.onCommand.addListener(function(command) {
+  if (command === 'toggle-feed-blocker') {
+    toggleFeedBlockerCommand();
+  } else if (command === 'snooze-feed') {
+    snoozeFeedCommand();
+  } else if (command === 'open-options') {
+    chrome.runtime.openOptionsPage();
+  }
+});
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+  if (alarm.name === SCHEDULE_ALARM) {
+    broadcastBlockerRefresh();
+    updateRedirectRules();
+    scheduleNextBoundary();
+  } else if (alarm.name === SNOOZE_ALARM) {
+    // Clearing the snooze relocks every open tab through storage.onChanged
+    safeStorageSet({ snoozeUntil: 0 });
+  }
+});
+
+// Re-plan whenever the schedule or the snooze changes
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  // A policy change can fix or release any setting
+  if (areaName === 'managed') {
+    scheduleNextBoundary();
+    updateRedirectRules();
+    return;
+  }
+
+  if (areaName !== 'local' && areaName !== 'sync') return;
+
+  // Open tabs re-apply the new schedule themselves through storage.onChanged
+  if (changes.scheduleEnabled || changes.scheduleWindows) {
+    scheduleNextBoundary();
+  }
+
+  if (changes.snoozeUntil) {
+    scheduleSnoozeEnd();
+  }
+
+  // The redirect follows the same on/off state as the blocker; its escape hatch also follows the PIN
+  if (changes.snoozeUntil || changes.pinLock || SETTING_KEYS.some(key => changes[key])) {
+    updateRedirectRules();
+  }
+});
+
+// Re-plan all alarms and the redirect rule when the extension is installed, updated or the browser starts
+function initializeAlarms() {
+  scheduleNextBoundary();
+  scheduleSnoozeEnd();
+  updateRedirectRules();
+}
+
+// Upgrade stored settings first so the alarms and rules are planned from the new layout
+chrome.runtime.onInstalled.addListener(function() {
+  migrateStoredSettings(initializeAlarms);
+});
+chrome.runtime.onStartup.addListener(initializeAlarms);
@@ -0,0 +1,70 @@
+// Settings backup files: every setting in SETTINGS_SCHEMA, written as
+//   { format: 'feedless-backup', version: 1, exportedAt: '2025-03-14T09:00:00.000Z', settings: { ... } }
+// Quote packs, statistics and other per-device data are not part of a backup.
+// Needs getMessage from i18n.js.
+
+const BACKUP_FORMAT = 'feedless-backup';
+const BACKUP_VERSION = 1;
+
+// Serialize a complete settings object as a backup file
+function exportSettingsBackup(settings, date) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: date.toISOString(),
+    settings: {}
+  };
+  SETTING_KEYS.forEach(key => {
+    backup.settings[key] = settings[key];
+  });
+  return JSON.stringify(backup, null, 2);
+}
+
+// Parse and validate a backup file. Settings this version does not know are skipped;
+// any invalid value rejects the whole file
+function parseSettingsBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { settings: null, skipped: [], errors: [getMessage('validationInvalidJson', e.message)] };
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    return { settings: null, skipped: [], errors: [getMessage('validationBackupFormat')] };
+  }
+  if (data.version !== BACKUP_VERSION) {
+    return { settings: null, skipped: [], errors: [getMessage('validationBackupVersion', String(data.version))] };
+  }
+  if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+    return { settings: null, skipped: [], errors: [getMessage('validationBackupNoSettings')] };
+  }
+
+  const settings = {};
+  const skipped = [];
+  const errors = [];
+  Object.keys(data.settings).forEach(key => {
+    if (!SETTINGS_SCHEMA[key]) {
+      skipped.push(key);
+    } else if (!isValidSettingValue(key, data.settings[key])) {
+      errors.push(getMessage('validationBackupInvalidValue', key));
+    } else {
+      settings[key] = data.settings[key];
+    }
+  });
+
+  return { settings: errors.length === 0 ? settings : null, skipped: skipped, errors: errors };
+}
+
+// The settings to write for an import: merge changes only the settings in the backup,
+// replace also resets every setting the backup leaves out
+function getBackupPatch(backupSettings, mode) {
+  return mode === 'replace' ? Object.assign(getDefaultSettings(), backupSettings) : Object.assign({}, backupSettings);
+}
+
+// Settings a patch would change, with their current and new values
+function diffSettings(current, patch) {
+  return Object.keys(patch)
+    .filter(key => JSON.stringify(current[key]) !== JSON.stringify(patch[key]))
+    .map(key => ({ key: key, from: current[key], to: patch[key] }));
+}
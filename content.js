@@ -3,6 +3,56 @@ let observers = [];
 let intervals = [];
 let timeouts = [];
 let initialized = false;
+let scheduleTimeoutId = null;
+
+// Resolved settings as last read from storage, so the observer and the periodic check do
+// not read both storage areas and the policy every time; storage changes clear it
+let cachedSettings = null;
+
+// Snooze state mirrored from storage, and the timers that end it on this page
+let snoozeUntil = 0;
+let snoozeTimeoutId = null;
+let snoozeBannerIntervalId = null;
+
+// Usage tracking: when this page last became visible, and the last URLs counted as a blocked visit and as a feed escape
+let visibleSince = null;
+let lastBlockedViewUrl = null;
+let lastEscapedUrl = null;
+
+// Compiled filter rules while filter or promoted mode is on, null otherwise, and the rules
+// they were compiled from so a refresh with unchanged rules keeps the posts hidden
+let feedFilter = null;
+let feedFilterSource = null;
+
+// Promoted and suggested items removed from this page, shown in the popup
+let promotedRemovedCount = 0;
+
+// The quote on the card, picked once per card so unrelated re-renders keep it
+let replacementQuote = null;
+
+// Theme setting, kept so the theme observer can follow LinkedIn's theme in auto mode
+let themePreference = 'auto';
+
+// Whether this visit to the feed was let through with ?feedless=continue, and whether that is
+// allowed at all: not while a PIN or the unlock gate guards turning the blocker off
+let feedEscaped = isFeedEscapeUrl(location.href);
+let feedEscapeAllowed = false;
+
+// Page title handling: whether to strip the unread count, and the last title we stripped it from
+let titleCountHidden = false;
+let unstrippedTitle = null;
+const TITLE_COUNT_PATTERN = /^\(\d+\+?\)\s*/;
+
+// Registry surfaces switched directly by a boolean setting
+const TOGGLED_SURFACES = {
+  metrics: 'hideMetrics',
+  pymk: 'hidePymk',
+  navBadges: 'hideNavBadges',
+  messagingBadge: 'hideMessagingBadge'
+};
+
+// Attribute marking feed elements hidden by the blocker, as defined in the selector registry
+const FEED_HIDDEN_ATTRIBUTE = getSurface('feed').hiddenAttribute;
 
 // We need to ensure Chrome APIs are available before accessing them
 function isChromeAPIAvailable() {
@@ -16,18 +66,18 @@ function isChromeAPIAvailable() {
   }
 }
 
-// Safe wrapper for chrome.storage.local.get
+// Safe wrapper for reading from storage; storage.js routes each key to sync or local
 function safeGet(keys, callback, retries = 1) {
   try {
-    chrome.storage.local.get(keys, (result) => {
-      if (chrome.runtime.lastError) {
-        if (retries > 0 && chrome.runtime.lastError.message?.includes('Extension context invalidated')) {
+    getFromStorageAreas(keys, (result, error) => {
+      if (error) {
+        if (retries > 0 && error.message?.includes('Extension context invalidated')) {
           // Wait briefly and retry
           setTimeout(() => safeGet(keys, callback, retries - 1), 100);
           return;
         }
         
-        console.error('Error in storage.get:', chrome.runtime.lastError);
+        console.error('Error in storage.get:', error);
         callback({});
         return;
       }
@@ -40,7 +90,29 @@ function safeGet(keys, callback, retries = 1) {
   }
 }
 
-// Safe wrapper for chrome.storage.local.set
+// Every setting with its default applied, from the cache when it is current
+function getSettings(callback) {
+  if (cachedSettings) {
+    callback(cachedSettings);
+    return;
+  }
+  
+  safeGet(SETTING_KEYS, function(result) {
+    callback(cacheSettings(result));
+  });
+}
+
+// Resolve settings read from storage, keeping them unless the read failed
+function cacheSettings(result) {
+  const settings = resolveSettings(result);
+  // A failed read comes back empty, without the policy that every successful one carries
+  if (result && MANAGED_POLICY_KEY in result) {
+    cachedSettings = settings;
+  }
+  return settings;
+}
+
+// Safe wrapper for writing to storage; storage.js routes each key to sync or local
 function safeSet(data, callback) {
   try {
     if (!isChromeAPIAvailable()) {
@@ -48,9 +120,9 @@ function safeSet(data, callback) {
       return false;
     }
     
-    chrome.storage.local.set(data, () => {
-      if (chrome.runtime.lastError) {
-        console.log('Error in storage.set:', chrome.runtime.lastError);
+    setInStorageAreas(data, (error) => {
+      if (error) {
+        console.log('Error in storage.set:', error);
         return;
       }
       if (typeof callback === 'function') {
@@ -231,34 +303,53 @@ function initFeedBlocker() {
     return;
   }
 
-  // Check storage for user preferences (default to enabled)
-  safeGet(['feedBlockerEnabled', 'newsBlockerEnabled'], function(result) {
-    const feedEnabled = result.feedBlockerEnabled === undefined ? true : result.feedBlockerEnabled;
-    const newsEnabled = result.newsBlockerEnabled === undefined ? true : result.newsBlockerEnabled;
+  // Check storage for user preferences (default to enabled) and any imported selector pack
+  safeGet(SETTING_KEYS.concat('selectorPack', 'snoozeUntil', 'pinLock'), function(result) {
+    const settings = cacheSettings(result);
+    snoozeUntil = getEffectiveSnoozeUntil(result);
+    updateFeedEscape(settings, result.pinLock);
+    
+    if (result.selectorPack) {
+      applySelectorPack(result.selectorPack);
+      injectRegistryStyles();
+    }
     
-    updateBlockerState(feedEnabled);
-    updateNewsBlockerState(newsEnabled);
+    applyBlockerSettings(settings);
+    
+    if (location.hash === `#${REDIRECT_MARKER}`) {
+      showRedirectNotice();
+    }
   });
   
+  // Apply setting and selector pack changes in every open tab without a reload
+  try {
+    chrome.storage.onChanged.addListener(handleStorageChange);
+  } catch (e) {
+    console.error('Error setting up storage listener:', e);
+  }
+  
   // Listen for messages from the popup
   try {
     chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
       // Verify extension context is still valid
       if (!isChromeAPIAvailable()) return;
       
-      if (request.action === 'toggleFeedBlocker') {
-        updateBlockerState(request.enabled);
-        sendResponse({ success: true });
-      } else if (request.action === 'toggleNewsBlocker') {
-        updateNewsBlockerState(request.enabled);
+      // The sender has already saved the new value, so re-read it together with the schedule
+      if (request.action === 'toggleFeedBlocker' ||
+          request.action === 'toggleNewsBlocker' ||
+          request.action === 'refreshBlockerState') {
+        refreshBlockerState();
         sendResponse({ success: true });
       } else if (request.action === 'getState') {
-        safeGet(['feedBlockerEnabled', 'newsBlockerEnabled'], function(result) {
-          const feedEnabled = result.feedBlockerEnabled === undefined ? true : result.feedBlockerEnabled;
-          const newsEnabled = result.newsBlockerEnabled === undefined ? true : result.newsBlockerEnabled;
+        getSettings(function(settings) {
           sendResponse({ 
-            enabled: feedEnabled,
-            newsEnabled: newsEnabled
+            enabled: settings.feedBlockerEnabled,
+            newsEnabled: settings.newsBlockerEnabled,
+            blocking: isFeedBlockedNow(settings),
+            snoozeUntil: snoozeUntil,
+            feedMode: settings.feedMode,
+            promotedRemoved: promotedRemovedCount,
+            route: currentRoute
           });
         });
         return true; // Keep the message channel open for the async response
@@ -268,20 +359,278 @@ function initFeedBlocker() {
     console.error('Error setting up message listener:', e);
   }
   
+  // Count time spent on LinkedIn while this tab is visible
+  setupVisibilityTracking();
+  
   // Create and inject the replacement content
   createReplacementContent();
   
   // Set up a MutationObserver to handle dynamic feed loading
   setupMutationObserver();
+  
+  // The body observer never sees <title>, so it gets its own
+  setupTitleObserver();
+  
+  // LinkedIn switches its theme by changing classes on <html>
+  setupThemeObserver();
+  
+  // Re-apply the per-route rules on every in-app navigation
+  onRouteChange(handleRouteChange);
+}
+
+// Tear down the rules of the previous route and set up those of the new one
+function handleRouteChange(route) {
+  promotedRemovedCount = 0;
+  // Coming back to the feed from another route is a new visit
+  lastBlockedViewUrl = null;
+  lastEscapedUrl = null;
+  feedEscaped = isFeedEscapeUrl(location.href) && feedEscapeAllowed;
+  refreshBlockerState();
+  
+  // The feed container is rendered anew when navigating back to the feed
+  if (route === 'feed') {
+    createReplacementContent();
+  }
+}
+
+// Whether the feed should be hidden right now, including any running snooze
+function isFeedBlockedNow(settings) {
+  return isFeedBlockingActive(settings, new Date(), snoozeUntil);
+}
+
+// Whether the whole feed should be replaced; the other modes keep it and hide single posts instead
+function isFeedHiddenNow(settings) {
+  // Redirect mode keeps the feed hidden until the redirect happens
+  const hidingMode = settings.feedMode === 'block' || (settings.feedMode === 'redirect' && !feedEscaped);
+  return isFeedBlockedNow(settings) && hidingMode && isSurfaceOnRoute('feed');
+}
+
+// The post filter rules in effect right now, or null when no posts should be filtered
+function getActiveFilterRules(settings) {
+  if (!isFeedBlockedNow(settings) || !isSurfaceOnRoute('feed')) return null;
+  if (settings.feedMode === 'filter') return settings.filterRules;
+  if (settings.feedMode === 'promoted') return PROMOTED_FILTER_RULES;
+  return null;
+}
+
+// Apply the effective blocker state for a set of settings
+function applyBlockerSettings(settings) {
+  noteFeedEscape(settings);
+  redirectFeedIfNeeded(settings);
+  updateBlockerState(isFeedHiddenNow(settings));
+  updateFeedFilter(getActiveFilterRules(settings));
+  updateNewsBlockerState(settings.newsBlockerEnabled);
+  updateToggledSurfaces(settings);
+  setTitleCountHidden(settings.hideTitleCount);
+  applyTheme(settings.theme);
+  scheduleBlockerRefresh(settings);
+  scheduleSnoozeEnd();
+  updateSnoozeBanner(settings);
+}
+
+// Turn the per-post filter on with a set of rules, or off with null. New rules re-check every
+// post; unchanged ones only check posts not hidden yet, so nothing is shown or counted twice
+function updateFeedFilter(rules) {
+  try {
+    const source = rules ? JSON.stringify(rules) : null;
+    
+    if (source !== feedFilterSource) {
+      resetFeedFilter();
+      hidePremiumUpsell(false);
+      promotedRemovedCount = 0;
+      feedFilterSource = source;
+      feedFilter = rules ? compileFilterRules(rules) : null;
+    }
+    
+    if (feedFilter && document.body) {
+      countPromotedRemovals(filterFeedPosts([document.body], feedFilter));
+    }
+    
+    hidePremiumUpsell(hidesPremiumUpsell(feedFilter));
+  } catch (e) {
+    console.error('Error updating feed filter:', e);
+  }
+}
+
+// Add the promoted and suggested posts among a list of filter matches to the page count
+function countPromotedRemovals(matches) {
+  promotedRemovedCount += matches.filter(isPromotedMatch).length;
+}
+
+// Hide or restore Premium upsell cards, counting the newly hidden ones as promoted items
+function hidePremiumUpsell(enable) {
+  if (enable || (document.body && document.body.classList.contains(getSurface('premiumUpsell').bodyClass))) {
+    promotedRemovedCount += hideRegistrySurface('premiumUpsell', enable);
+  }
+}
+
+// Stop honoring the escape once a PIN or the unlock gate is set
+function updateFeedEscape(settings, pinLock) {
+  feedEscapeAllowed = isFeedEscapeAllowed(settings, pinLock);
+  if (!feedEscapeAllowed) {
+    feedEscaped = false;
+  }
+}
+
+// Count a visit let through by the escape as turning the blocker off, once per URL
+function noteFeedEscape(settings) {
+  if (!feedEscaped || lastEscapedUrl === location.href || !isRedirectActive(settings, new Date(), snoozeUntil)) return;
+  lastEscapedUrl = location.href;
+  recordUsage('disables');
+}
+
+// Leave the feed for the redirect target when redirect mode is active, unless this visit was let through.
+// Hard loads are redirected by background.js before the page loads; this catches in-app navigations.
+function redirectFeedIfNeeded(settings) {
+  if (feedEscaped || !isSurfaceOnRoute('feed') || !isRedirectActive(settings, new Date(), snoozeUntil)) return;
+  
+  try {
+    const target = new URL(getRedirectUrl(settings));
+    target.hash = REDIRECT_MARKER;
+    location.replace(target.href);
+  } catch (e) {
+    console.error('Error redirecting the feed:', e);
+  }
+}
+
+// Tell the user they were sent here from the feed and, unless the escape is guarded, offer a way through for this visit
+function showRedirectNotice() {
+  try {
+    // Drop the marker so a reload or a shared link does not show the notice again
+    history.replaceState(history.state, '', location.pathname + location.search);
+    recordUsage('blockedViews');
+    
+    if (!document.body || document.getElementById('feedless-redirect-banner')) return;
+    
+    const banner = document.createElement('div');
+    banner.id = 'feedless-redirect-banner';
+    banner.className = 'feedless-redirect-banner';
+    
+    const text = document.createElement('span');
+    text.textContent = getMessage('redirectedFromFeed');
+    banner.appendChild(text);
+    
+    if (feedEscapeAllowed) {
+      const continueLink = document.createElement('a');
+      continueLink.href = FEED_ESCAPE_URL;
+      continueLink.textContent = getMessage('continueToFeed');
+      banner.appendChild(continueLink);
+    }
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = getMessage('dismiss');
+    closeButton.addEventListener('click', () => banner.remove());
+    banner.appendChild(closeButton);
+    
+    document.body.appendChild(banner);
+    safeSetTimeout(() => banner.remove(), 15000);
+  } catch (e) {
+    console.error('Error showing redirect notice:', e);
+  }
+}
+
+// Re-read settings and apply the effective blocker state
+function refreshBlockerState() {
+  safeGet(SETTING_KEYS.concat('snoozeUntil', 'pinLock'), function(result) {
+    const settings = cacheSettings(result);
+    snoozeUntil = getEffectiveSnoozeUntil(result);
+    updateFeedEscape(settings, result.pinLock);
+    applyBlockerSettings(settings);
+  });
+}
+
+// Re-apply the state at the next schedule boundary, in case the background alarm is late
+function scheduleBlockerRefresh(settings) {
+  if (scheduleTimeoutId) {
+    clearSafeTimeout(scheduleTimeoutId);
+    scheduleTimeoutId = null;
+  }
+  
+  if (!settings.scheduleEnabled) return;
+  
+  const now = new Date();
+  const next = getNextScheduleChange(settings.scheduleWindows, now);
+  if (next) {
+    scheduleTimeoutId = safeSetTimeout(() => {
+      scheduleTimeoutId = null;
+      refreshBlockerState();
+    }, next.getTime() - now.getTime());
+  }
+}
+
+// Relock when the snooze runs out, even if the background alarm has not fired yet
+function scheduleSnoozeEnd() {
+  if (snoozeTimeoutId) {
+    clearSafeTimeout(snoozeTimeoutId);
+    snoozeTimeoutId = null;
+  }
+  
+  const remaining = snoozeUntil - Date.now();
+  if (remaining > 0) {
+    snoozeTimeoutId = safeSetTimeout(() => {
+      snoozeTimeoutId = null;
+      snoozeUntil = 0;
+      refreshBlockerState();
+    }, remaining);
+  }
+}
+
+// Show a small banner with the remaining snooze time while the feed is unblocked by a snooze
+function updateSnoozeBanner(settings) {
+  try {
+    if (!document.body) return;
+    
+    let banner = document.getElementById('feedless-snooze-banner');
+    const snoozing = isSnoozed(snoozeUntil, new Date()) && isFeedBlockingActive(settings, new Date());
+    
+    if (!snoozing) {
+      if (banner) banner.remove();
+      if (snoozeBannerIntervalId) {
+        clearSafeInterval(snoozeBannerIntervalId);
+        snoozeBannerIntervalId = null;
+      }
+      return;
+    }
+    
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'feedless-snooze-banner';
+      banner.className = 'feedless-snooze-banner';
+      
+      const text = document.createElement('span');
+      text.className = 'feedless-snooze-text';
+      banner.appendChild(text);
+      
+      const endButton = document.createElement('button');
+      endButton.type = 'button';
+      endButton.textContent = getMessage('blockNow');
+      endButton.addEventListener('click', () => safeSet({ snoozeUntil: 0 }));
+      banner.appendChild(endButton);
+      
+      document.body.appendChild(banner);
+    }
+    
+    const renderRemaining = () => {
+      const text = banner.querySelector('.feedless-snooze-text');
+      if (text) {
+        text.textContent = getMessage('feedUnblockedFor', formatRemaining(snoozeUntil - Date.now()));
+      }
+    };
+    
+    renderRemaining();
+    if (!snoozeBannerIntervalId) {
+      snoozeBannerIntervalId = safeSetInterval(renderRemaining, 1000);
+    }
+  } catch (e) {
+    console.error('Error updating snooze banner:', e);
+  }
 }
 
 // Update the blocker state (enabled/disabled)
 function updateBlockerState(isEnabled) {
   if (!isChromeAPIAvailable()) return;
   
-  // Save the state to storage
-  safeSet({ feedBlockerEnabled: isEnabled });
-  
   // Safely apply changes to body and elements
   const applyChanges = () => {
     try {
@@ -303,18 +652,19 @@ function updateBlockerState(isEnabled) {
         safeManipulateElement(replacementEl, {
           display: isEnabled ? 'flex' : 'none'
         });
+        if (isEnabled) noteReplacementShown();
       }
       
       // Update feed elements
       try {
-        const feedElements = document.querySelectorAll('.feed-container, .core-rail, div[data-test-id="feed-container"], .scaffold-finite-scroll, .scaffold-finite-scroll__content, div[role="main"] div[data-test-id="main-feed"]');
+        const feedElements = findSurfaceElements('feed');
         
         feedElements.forEach(element => {
           if (isEnabled) {
             // Hide feed
             safeManipulateElement(element, {
               display: 'none',
-              setAttribute: { name: 'data-hidden-by-focus-mode', value: 'true' }
+              setAttribute: { name: FEED_HIDDEN_ATTRIBUTE, value: 'true' }
             });
           } else {
             // Show feed
@@ -322,7 +672,7 @@ function updateBlockerState(isEnabled) {
               display: '',
               visibility: 'visible',
               opacity: '1',
-              removeAttribute: 'data-hidden-by-focus-mode'
+              removeAttribute: FEED_HIDDEN_ATTRIBUTE
             });
           }
         });
@@ -347,185 +697,72 @@ function updateBlockerState(isEnabled) {
     document.addEventListener('DOMContentLoaded', applyChanges, { once: true });
   }
 }
-/*
-// Function to specifically identify and hide LinkedIn News elements
-function hideLinkedInNews(enable) {
+// Hide or restore the elements of a registry surface; returns how many were newly hidden
+function hideRegistrySurface(surfaceName, enable) {
   try {
-    // First approach: Look for elements that contain "LinkedIn News" text
-    const findNewsElements = () => {
-      // News elements often have these specific identifiers
-      const newsSelectors = [
-        // Specific news module selectors
-        "div[data-test-id='news-module']",
-        "aside div[aria-label='LinkedIn News']",
-        "aside section[data-test-id='today-news-module']",
-        ".news-module",
-        ".news-recirc-module"
-      ];
-      
-      // Look for elements matching these selectors
-      let newsElements = [];
-      newsSelectors.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        if (elements.length > 0) {
-          newsElements.push(...elements);
-        }
-      });
-      
-      // If we don't find elements with selectors, look for elements with "LinkedIn News" text
-      if (newsElements.length === 0) {
-        // Get all headings and span elements that might contain "LinkedIn News"
-        const headings = document.querySelectorAll('h2, h3, span, div');
-        
-        headings.forEach(element => {
-          if (element.textContent && element.textContent.includes('LinkedIn News')) {
-            // Found a heading, now get its parent container (likely a module or section)
-            let parent = element.parentElement;
-            
-            // Go up to find a substantial container (usually 2-3 levels up)
-            for (let i = 0; i < 3; i++) {
-              if (parent && parent.tagName.toLowerCase() !== 'aside' && 
-                  parent.tagName.toLowerCase() !== 'section' && 
-                  parent.tagName.toLowerCase() !== 'div') {
-                break;
-              }
-              if (parent && parent.parentElement) {
-                parent = parent.parentElement;
-              } else {
-                break;
-              }
-            }
-            
-            // If we found a good container, add it to our list
-            if (parent && !newsElements.includes(parent)) {
-              newsElements.push(parent);
-            }
-          }
-        });
-      }
-      
-      return newsElements;
-    };
+    if (!document || !document.body) return 0;
     
-    // Find all news elements
-    const newsElements = findNewsElements();
-    console.log(`Found ${newsElements.length} LinkedIn News elements`);
-    
-    // Apply visibility changes
-    newsElements.forEach(element => {
-      if (enable) {
-        // Hide the news element
-        element.setAttribute('data-hidden-by-news-blocker', 'true');
-        element.style.display = 'none';
-        element.style.visibility = 'hidden';
-        element.style.opacity = '0';
-        element.style.height = '0';
-        element.style.overflow = 'hidden';
-      } else {
-        // Show the news element
-        element.removeAttribute('data-hidden-by-news-blocker');
-        element.style.display = '';
-        element.style.visibility = '';
-        element.style.opacity = '';
-        element.style.height = '';
-        element.style.overflow = '';
-      }
-    });
+    const surface = getSurface(surfaceName);
+    const hiddenAttribute = surface.hiddenAttribute;
+    let hidden = 0;
     
-    // Update body class for CSS targeting
     if (enable) {
-      document.body.classList.add('news-blocker-active');
+      // Hide the elements found through the selector registry
+      findSurfaceElements(surfaceName).forEach(element => {
+        if (element.hasAttribute(hiddenAttribute)) return;
+        safeManipulateElement(element, {
+          display: 'none',
+          setAttribute: { name: hiddenAttribute, value: 'true' }
+        });
+        hidden++;
+      });
+      document.body.classList.add(surface.bodyClass);
     } else {
-      document.body.classList.remove('news-blocker-active');
+      // Restore only the elements we hid ourselves
+      document.querySelectorAll(`[${hiddenAttribute}]`).forEach(element => {
+        safeManipulateElement(element, {
+          display: '',
+          removeAttribute: hiddenAttribute
+        });
+      });
+      document.body.classList.remove(surface.bodyClass);
     }
     
-    return newsElements.length > 0;
+    return hidden;
   } catch (error) {
-    console.error('Error in hideLinkedInNews:', error);
-    return false;
+    console.error(`Error hiding ${surfaceName}:`, error);
+    return 0;
   }
 }
-*/
 
-// To use this function:
-// hideLinkedInNews(true) - to hide LinkedIn News
-// hideLinkedInNews(false) - to show LinkedIn News
+// Function to specifically identify and hide LinkedIn News elements
+function hideLinkedInNews(enable) {
+  return hideRegistrySurface('news', enable);
+}
 
-/*
 // Update the news blocker state (enabled/disabled)
 function updateNewsBlockerState(isEnabled) {
+  updateRegistrySurfaceState('news', isEnabled);
+}
+
+// Update metrics-free mode and the badge blockers; the generated CSS follows each body class, so this reverses cleanly
+function updateToggledSurfaces(settings) {
+  Object.keys(TOGGLED_SURFACES).forEach(surfaceName => {
+    updateRegistrySurfaceState(surfaceName, isToggledSurfaceEnabled(surfaceName, settings));
+  });
+}
+
+// Whether a toggled surface is switched on and allowed on the current route
+function isToggledSurfaceEnabled(surfaceName, settings) {
+  return settings[TOGGLED_SURFACES[surfaceName]] && isSurfaceOnRoute(surfaceName);
+}
+
+// Hide or restore a registry surface now and again once the page has settled
+function updateRegistrySurfaceState(surfaceName, isEnabled) {
   if (!isChromeAPIAvailable()) return;
   
-  // Save the state to storage
-  safeSet({ newsBlockerEnabled: isEnabled });
+  const applyChanges = () => hideRegistrySurface(surfaceName, isEnabled);
   
-  // Use the targeted news hiding function
-  safeSetTimeout(() => {
-    hideLinkedInNews(isEnabled);
-  }, 100);
-}
-  
-
-  // Apply changes to DOM
-  const applyChanges = () => {
-    try {
-      // Skip if document or body doesn't exist
-      if (!document || !document.body) return;
-      
-      // Update body classes
-      if (isEnabled) {
-        document.body.classList.add('news-blocker-active');
-      } else {
-        document.body.classList.remove('news-blocker-active');
-      }
-      
-      // Update news elements with targeted selectors
-      const newsSelector = `
-        .news-module, 
-        .news-module-v2, 
-        div[data-test-id="news-module"], 
-        .news-module-headline, 
-        aside div[aria-label="LinkedIn News"], 
-        .scaffold-layout__aside .news-module-container,
-        aside .news-module,
-        aside section[data-test-id="today-news-module"],
-        .news-recirc-module,
-        .aside-module-aside,
-        .scaffold-layout__aside > div > div > div[data-view-name="news-module"],
-        .scaffold-layout__aside section div[data-control-name^="news"],
-        .aside-content-module
-      `;
-      
-      try {
-        const newsElements = document.querySelectorAll(newsSelector);
-        
-        newsElements.forEach(element => {
-          if (isEnabled) {
-            safeManipulateElement(element, {
-              display: 'none',
-              visibility: 'hidden',
-              opacity: '0',
-              setAttribute: { name: 'data-hidden-by-focus-mode', value: 'true' }
-            });
-          } else {
-            if (element.getAttribute('data-hidden-by-focus-mode') === 'true') {
-              safeManipulateElement(element, {
-                display: '',
-                visibility: '',
-                opacity: '',
-                removeAttribute: 'data-hidden-by-focus-mode'
-              });
-            }
-          }
-        });
-      } catch (error) {
-        console.error('Error updating news elements:', error);
-      }
-    } catch (error) {
-      console.error('Error in news blocker:', error);
-    }
-  };
- 
   // Apply changes at different points to ensure they take effect
   if (document.body) {
     applyChanges();
@@ -538,12 +775,207 @@ function updateNewsBlockerState(isEnabled) {
   if (document.readyState !== 'complete') {
     document.addEventListener('DOMContentLoaded', applyChanges, { once: true });
   }
+}
 
- */
+// Restore every element hidden through the selector registry
+function restoreHiddenElements() {
+  Object.keys(SELECTOR_REGISTRY.surfaces).forEach(surfaceName => {
+    const hiddenAttribute = getSurface(surfaceName).hiddenAttribute;
+    
+    document.querySelectorAll(`[${hiddenAttribute}]`).forEach(element => {
+      safeManipulateElement(element, {
+        display: '',
+        removeAttribute: hiddenAttribute
+      });
+    });
+  });
+}
 
+// Swap in a new selector pack (or the built-ins) and re-apply the current state
+function reloadSelectorPack(pack) {
+  try {
+    // Elements matched by the old selectors may not match the new ones
+    if (document.body) {
+      restoreHiddenElements();
+    }
+    
+    applySelectorPack(pack || null);
+    injectRegistryStyles();
+    
+    // Posts are found through the pack too, so let the filter check them all again
+    feedFilterSource = null;
+    refreshBlockerState();
+  } catch (e) {
+    console.error('Error reloading selector pack:', e);
+  }
+}
 
+// React to storage changes made from the popup, options page or another tab
+function handleStorageChange(changes, areaName) {
+  if (!isChromeAPIAvailable()) return;
+  
+  // A policy change can fix or release any setting, so handle it as a change to all of them
+  if (areaName === 'managed') {
+    const allSettings = {};
+    SETTING_KEYS.forEach(key => {
+      allSettings[key] = {};
+    });
+    handleStorageChange(allSettings, 'sync');
+    return;
+  }
+  
+  // Settings arrive from sync, everything else from local
+  if (areaName !== 'local' && areaName !== 'sync') return;
+  
+  // The next read fills the cache again, resolved against the other area and the policy
+  if (SETTING_KEYS.some(key => changes[key])) {
+    cachedSettings = null;
+  }
+  
+  // refreshBlockerState() re-reads the snooze, which the managed policy may override
+  if (changes.selectorPack) {
+    // Reloading the pack re-applies the whole state as well
+    reloadSelectorPack(changes.selectorPack.newValue);
+  } else if (changes.snoozeUntil || changes.pinLock || SETTING_KEYS.some(key => changes[key])) {
+    refreshBlockerState();
+  }
+  
+  // The popup and other tabs edit the same focus list
+  if (changes.dailyFocus || changes.focusResetHour || changes.focusRollover) {
+    refreshFocusWidget();
+  }
+  
+  const quotesChanged = changes.quotes || changes.quoteRotation || changes.quoteTagFilter || changes.quotePacks;
+  if (changes.replacementTitle || changes.replacementMessage || changes.focusWidgetEnabled || quotesChanged) {
+    const replacementEl = document.getElementById('feed-replacement');
+    if (replacementEl) {
+      getSettings(function(settings) {
+        if (!quotesChanged) {
+          renderReplacementContent(replacementEl, settings);
+          return;
+        }
+        
+        chooseReplacementQuote(settings, function() {
+          renderReplacementContent(replacementEl, settings);
+        });
+      });
+    }
+  }
+}
+
+// Pick the card's quote from the user's quotes and the enabled packs, advancing the stored position for sequential
+function chooseReplacementQuote(settings, callback) {
+  safeGet(['quotePacks', 'quoteIndex'], function(result) {
+    const quotes = collectActiveQuotes(settings, result.quotePacks);
+    const index = Number.isInteger(result.quoteIndex) ? result.quoteIndex : 0;
+    replacementQuote = pickQuote(quotes, settings.quoteRotation, index, new Date());
+    
+    if (settings.quoteRotation === 'sequential') {
+      safeSet({ quoteIndex: (index + 1) % Math.max(quotes.length, 1) });
+    }
+    callback();
+  });
+}
+
+// Fill the replacement card from settings, building nodes so user text is never parsed as HTML
+function renderReplacementContent(replacementEl, settings) {
+  // The message is limited Markdown, rendered to paragraphs and lists
+  const blocks = renderMarkdownBlocks(settings.replacementMessage);
+  
+  replacementEl.textContent = '';
+  
+  const heading = document.createElement('h2');
+  heading.textContent = settings.replacementTitle;
+  replacementEl.appendChild(heading);
+  
+  // The quote sits after the first block, as in the original card
+  if (blocks.length > 0) {
+    replacementEl.appendChild(blocks[0]);
+  }
+  
+  if (replacementQuote) {
+    const quote = document.createElement('div');
+    quote.className = 'quote';
+    quote.textContent = replacementQuote.text;
+    replacementEl.appendChild(quote);
+    
+    if (replacementQuote.author) {
+      const author = document.createElement('div');
+      author.className = 'quote-author';
+      author.textContent = `— ${replacementQuote.author}`;
+      replacementEl.appendChild(author);
+    }
+  }
+  
+  blocks.slice(1).forEach(block => {
+    replacementEl.appendChild(block);
+  });
+  
+  if (settings.focusWidgetEnabled) {
+    const focusSection = document.createElement('div');
+    focusSection.id = 'feedless-focus';
+    focusSection.className = 'feedless-focus';
+    
+    const focusTitle = document.createElement('h3');
+    focusTitle.textContent = getMessage('todaysFocus');
+    focusSection.appendChild(focusTitle);
+    
+    const focusBody = document.createElement('div');
+    focusBody.className = 'feedless-focus-body';
+    focusSection.appendChild(focusBody);
+    
+    replacementEl.appendChild(focusSection);
+    refreshFocusWidget();
+  }
+}
 
+// Fill the card's focus widget from storage, rolling over to a new day if one has started
+function refreshFocusWidget() {
+  const container = document.querySelector('#feedless-focus .feedless-focus-body');
+  if (!container) return;
+  
+  safeGet(SETTING_KEYS.concat('dailyFocus'), function(result) {
+    const focus = resolveDailyFocus(result.dailyFocus, resolveSettings(result), new Date());
+    renderFocusWidget(container, focus, (updated) => safeSet({ dailyFocus: updated }));
+  });
+}
+
+// Count a blocked visit the first time the replacement is shown for a URL
+function noteReplacementShown() {
+  if (lastBlockedViewUrl === location.href) return;
+  lastBlockedViewUrl = location.href;
+  recordUsage('blockedViews');
+}
+
+// Store the time this tab has been visible since the last flush
+function flushVisibleTime() {
+  if (visibleSince === null) return;
+  
+  const seconds = Math.round((Date.now() - visibleSince) / 1000);
+  visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+  
+  if (seconds > 0) {
+    recordUsage('linkedinSeconds', seconds);
+  }
+}
+
+// Track visible time with the Page Visibility API
+function setupVisibilityTracking() {
+  visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+  
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      visibleSince = Date.now();
+    } else {
+      flushVisibleTime();
+    }
+  });
   
+  // Flush regularly so a closed window loses at most a minute
+  safeSetInterval(flushVisibleTime, 60000);
+  window.addEventListener('pagehide', flushVisibleTime);
+}
+
 // Create and inject the replacement content for the feed
 function createReplacementContent() {
   // Create an ID for the interval so we can clear it
@@ -558,7 +990,7 @@ function createReplacementContent() {
   const createReplacement = () => {
     try {
       // Look for the feed container
-      const feedContainer = document.querySelector('div[role="main"] div[data-test-id="main-feed"]');
+      const feedContainer = document.querySelector(SELECTOR_REGISTRY.anchors.feedReplacement);
       if (!feedContainer) return false;
       
       // Clear the interval as we found the container
@@ -575,24 +1007,8 @@ function createReplacementContent() {
       replacementEl.id = 'feed-replacement';
       replacementEl.className = 'feed-replacement';
       
-      // Motivational quotes
-      const quotes = [
-        "Focus on your goals, not on your feed.",
-        "Networking is about making connections, not endless scrolling.",
-        "Your productivity matters more than your feed.",
-        "Connect with purpose, not with distraction."
-      ];
-      
-      // Randomly select a quote
-      const randomQuote = quotes[Math.floor(Math.random() * quotes.length)];
-      
-      // Set content
-      replacementEl.innerHTML = `
-        <h2>LinkedIn Focus Mode</h2>
-        <p>The feed has been hidden to help you stay productive and focused.</p>
-        <div class="quote">${randomQuote}</div>
-        <p>You can use LinkedIn for networking, job searching, and messaging without the distraction of the feed.</p>
-      `;
+      // Stay hidden until the settings have been read
+      replacementEl.style.display = 'none';
       
       // Insert before the feed container
       try {
@@ -605,14 +1021,21 @@ function createReplacementContent() {
       // Update visibility based on current setting
       try {
         if (isChromeAPIAvailable()) {
-          safeGet(['feedBlockerEnabled'], function(result) {
-            const isEnabled = result.feedBlockerEnabled === undefined ? true : result.feedBlockerEnabled;
-            if (replacementEl) {
-              replacementEl.style.display = isEnabled ? 'flex' : 'none';
-            }
+          getSettings(function(settings) {
+            chooseReplacementQuote(settings, function() {
+              const isEnabled = isFeedHiddenNow(settings);
+              if (replacementEl) {
+                renderReplacementContent(replacementEl, settings);
+                replacementEl.style.display = isEnabled ? 'flex' : 'none';
+                if (isEnabled) noteReplacementShown();
+              }
+            });
           });
         } else {
           if (replacementEl) {
+            const defaults = getDefaultSettings();
+            replacementQuote = pickQuote(collectActiveQuotes(defaults, []), defaults.quoteRotation, 0, new Date());
+            renderReplacementContent(replacementEl, defaults);
             replacementEl.style.display = 'flex';
           }
         }
@@ -662,6 +1085,13 @@ function setupMutationObserver() {
       // Skip if document or body isn't available
       if (!document || !document.body) return;
       
+      // Remember new nodes so the filter only checks posts that actually changed
+      if (feedFilter) {
+        mutations.forEach(mutation => {
+          mutation.addedNodes.forEach(node => observer.addedNodes.push(node));
+        });
+      }
+      
       // Throttle updates - use a timeout to avoid excessive processing
       if (observer.timeout) {
         return;
@@ -670,49 +1100,44 @@ function setupMutationObserver() {
       observer.timeout = safeSetTimeout(() => {
         observer.timeout = null;
         
+        const addedNodes = observer.addedNodes;
+        observer.addedNodes = [];
+        
+        // Hide newly loaded posts that match the filter rules
+        if (feedFilter) {
+          try {
+            countPromotedRemovals(filterFeedPosts(addedNodes, feedFilter));
+            hidePremiumUpsell(hidesPremiumUpsell(feedFilter));
+          } catch (e) {
+            console.error('Error in feed filtering:', e);
+          }
+        }
+        
         // Check current state of feed and news blockers
-        safeGet(['feedBlockerEnabled', 'newsBlockerEnabled'], function(result) {
-          const feedEnabled = result.feedBlockerEnabled === undefined ? true : result.feedBlockerEnabled;
-          const newsEnabled = result.newsBlockerEnabled === undefined ? true : result.newsBlockerEnabled;
+        getSettings(function(settings) {
+          const feedEnabled = isFeedHiddenNow(settings);
+          const newsEnabled = settings.newsBlockerEnabled;
           
-          // Process news blocking if enabled
-          if (newsEnabled) {
+          // Process news blocking, restoring anything we hid if it was turned off
+          try {
+            if (newsEnabled || document.body.classList.contains('news-blocker-active')) {
+              hideLinkedInNews(newsEnabled);
+            }
+          } catch (e) {
+            console.error('Error in news blocking:', e);
+          }
+          
+          // Process metrics-free mode and the badge blockers the same way
+          Object.keys(TOGGLED_SURFACES).forEach(surfaceName => {
             try {
-              // Update body class
-              document.body.classList.add('news-blocker-active');
-              
-              // Hide any newly added news elements
-              const newsSelector = `
-                .news-module, 
-                .news-module-v2, 
-                div[data-test-id="news-module"], 
-                .news-module-headline, 
-                aside div[aria-label="LinkedIn News"], 
-                .scaffold-layout__aside .news-module-container,
-                aside .news-module,
-                aside section[data-test-id="today-news-module"],
-                .news-recirc-module,
-                .aside-module-aside,
-                .scaffold-layout__aside > div > div > div[data-view-name="news-module"],
-                .scaffold-layout__aside section div[data-control-name^="news"],
-                .aside-content-module
-              `;
-              
-              const newsElements = document.querySelectorAll(newsSelector);
-              newsElements.forEach(element => {
-                if (!element.hasAttribute('data-hidden-by-focus-mode')) {
-                  safeManipulateElement(element, {
-                    display: 'none',
-                    visibility: 'hidden',
-                    opacity: '0',
-                    setAttribute: { name: 'data-hidden-by-focus-mode', value: 'true' }
-                  });
-                }
-              });
+              const enabled = isToggledSurfaceEnabled(surfaceName, settings);
+              if (enabled || document.body.classList.contains(getSurface(surfaceName).bodyClass)) {
+                hideRegistrySurface(surfaceName, enabled);
+              }
             } catch (e) {
-              console.error('Error in news blocking:', e);
+              console.error(`Error in ${surfaceName} blocking:`, e);
             }
-          }
+          });
           
           // Process feed blocking if enabled
           if (feedEnabled) {
@@ -722,12 +1147,12 @@ function setupMutationObserver() {
               document.body.classList.remove('feed-blocker-disabled');
               
               // Hide feed elements
-              const feedElements = document.querySelectorAll('.feed-container, .core-rail, div[data-test-id="feed-container"], .scaffold-finite-scroll, .scaffold-finite-scroll__content, div[role="main"] div[data-test-id="main-feed"]');
+              const feedElements = findSurfaceElements('feed');
               feedElements.forEach(element => {
-                if (!element.hasAttribute('data-hidden-by-focus-mode')) {
+                if (!element.hasAttribute(FEED_HIDDEN_ATTRIBUTE)) {
                   safeManipulateElement(element, {
                     display: 'none',
-                    setAttribute: { name: 'data-hidden-by-focus-mode', value: 'true' }
+                    setAttribute: { name: FEED_HIDDEN_ATTRIBUTE, value: 'true' }
                   });
                 }
               });
@@ -736,6 +1161,7 @@ function setupMutationObserver() {
               const replacementEl = document.getElementById('feed-replacement');
               if (replacementEl) {
                 safeManipulateElement(replacementEl, { display: 'flex' });
+                noteReplacementShown();
               }
             } catch (e) {
               console.error('Error in feed blocking:', e);
@@ -747,14 +1173,14 @@ function setupMutationObserver() {
               document.body.classList.remove('feed-blocker-active');
               
               // Show feed elements
-              const feedElements = document.querySelectorAll('.feed-container, .core-rail, div[data-test-id="feed-container"], .scaffold-finite-scroll, .scaffold-finite-scroll__content, div[role="main"] div[data-test-id="main-feed"]');
+              const feedElements = findSurfaceElements('feed');
               feedElements.forEach(element => {
-                if (element.hasAttribute('data-hidden-by-focus-mode')) {
+                if (element.hasAttribute(FEED_HIDDEN_ATTRIBUTE)) {
                   safeManipulateElement(element, {
                     display: '',
                     visibility: 'visible',
                     opacity: '1',
-                    removeAttribute: 'data-hidden-by-focus-mode'
+                    removeAttribute: FEED_HIDDEN_ATTRIBUTE
                   });
                 }
               });
@@ -776,6 +1202,8 @@ function setupMutationObserver() {
     }
   });
   
+  observer.addedNodes = [];
+  
   // Track this observer
   observers.push(observer);
   
@@ -810,19 +1238,19 @@ function setupMutationObserver() {
       
       // Short delay to let LinkedIn process the click
       safeSetTimeout(() => {
-        safeGet(['feedBlockerEnabled'], function(result) {
-          const feedEnabled = result.feedBlockerEnabled === undefined ? true : result.feedBlockerEnabled;
+        getSettings(function(settings) {
+          const feedEnabled = isFeedHiddenNow(settings);
           
           // If feed blocking is disabled, ensure feed is visible
           if (!feedEnabled) {
-            const feedElements = document.querySelectorAll('.feed-container, .core-rail, div[data-test-id="feed-container"], .scaffold-finite-scroll, .scaffold-finite-scroll__content, div[role="main"] div[data-test-id="main-feed"]');
+            const feedElements = findSurfaceElements('feed');
             feedElements.forEach(element => {
-              if (element.style.display === 'none' || element.hasAttribute('data-hidden-by-focus-mode')) {
+              if (element.style.display === 'none' || element.hasAttribute(FEED_HIDDEN_ATTRIBUTE)) {
                 safeManipulateElement(element, {
                   display: '',
                   visibility: 'visible',
                   opacity: '1',
-                  removeAttribute: 'data-hidden-by-focus-mode'
+                  removeAttribute: FEED_HIDDEN_ATTRIBUTE
                 });
               }
             });
@@ -848,19 +1276,22 @@ function setupMutationObserver() {
         return;
       }
       
-      safeGet(['feedBlockerEnabled'], function(result) {
-        const feedEnabled = result.feedBlockerEnabled === undefined ? true : result.feedBlockerEnabled;
+      // Catch navigations the route hook missed
+      checkRouteChange();
+      
+      getSettings(function(settings) {
+        const feedEnabled = isFeedHiddenNow(settings);
         
         // If feed blocking is disabled, ensure feed is visible
         if (!feedEnabled) {
-          const feedElements = document.querySelectorAll('.feed-container, .core-rail, div[data-test-id="feed-container"], .scaffold-finite-scroll, .scaffold-finite-scroll__content, div[role="main"] div[data-test-id="main-feed"]');
+          const feedElements = findSurfaceElements('feed');
           feedElements.forEach(element => {
-            if (element.style.display === 'none' || element.hasAttribute('data-hidden-by-focus-mode')) {
+            if (element.style.display === 'none' || element.hasAttribute(FEED_HIDDEN_ATTRIBUTE)) {
               safeManipulateElement(element, {
                 display: '',
                 visibility: 'visible',
                 opacity: '1',
-                removeAttribute: 'data-hidden-by-focus-mode'
+                removeAttribute: FEED_HIDDEN_ATTRIBUTE
               });
             }
           });
@@ -873,6 +1304,110 @@ function setupMutationObserver() {
   }, 1000);
 }
 
+// Style feedless' own elements for the chosen theme, or LinkedIn's current one in auto mode
+function applyTheme(preference) {
+  themePreference = preference;
+  
+  try {
+    document.documentElement.setAttribute(THEME_ATTRIBUTE, resolveTheme(preference, detectLinkedInTheme));
+  } catch (e) {
+    console.error('Error applying theme:', e);
+  }
+}
+
+// Re-detect the theme when LinkedIn changes the classes on <html>
+function setupThemeObserver() {
+  const observer = new MutationObserver(() => {
+    if (!isChromeAPIAvailable()) {
+      observer.disconnect();
+      const index = observers.indexOf(observer);
+      if (index > -1) {
+        observers.splice(index, 1);
+      }
+      return;
+    }
+    
+    if (themePreference === 'auto') {
+      applyTheme(themePreference);
+    }
+  });
+  
+  try {
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+    observers.push(observer);
+  } catch (e) {
+    console.error('Error starting theme observer:', e);
+  }
+}
+
+// Strip the unread count from the page title, or put back the one we stripped
+function updateTitleCount() {
+  try {
+    const title = document.title;
+    
+    if (titleCountHidden) {
+      if (TITLE_COUNT_PATTERN.test(title)) {
+        unstrippedTitle = title;
+        document.title = title.replace(TITLE_COUNT_PATTERN, '');
+      }
+    } else if (unstrippedTitle) {
+      // Only restore if LinkedIn has not changed the title since
+      if (title === unstrippedTitle.replace(TITLE_COUNT_PATTERN, '')) {
+        document.title = unstrippedTitle;
+      }
+      unstrippedTitle = null;
+    }
+  } catch (e) {
+    console.error('Error updating title count:', e);
+  }
+}
+
+// Turn stripping the title count on or off
+function setTitleCountHidden(hidden) {
+  titleCountHidden = hidden;
+  updateTitleCount();
+}
+
+// Watch <title> so a new unread count is stripped as soon as LinkedIn sets it
+function setupTitleObserver() {
+  let observedTitle = null;
+  
+  const observer = new MutationObserver(() => {
+    if (!isChromeAPIAvailable()) {
+      observer.disconnect();
+      const index = observers.indexOf(observer);
+      if (index > -1) {
+        observers.splice(index, 1);
+      }
+      return;
+    }
+    
+    observeTitleElement();
+    
+    // Our own rewrite triggers another mutation, which then finds nothing to strip
+    if (titleCountHidden) {
+      updateTitleCount();
+    }
+  });
+  
+  // LinkedIn may replace the <title> element itself, so follow whichever one is current
+  const observeTitleElement = () => {
+    const titleEl = document.querySelector('title');
+    if (!titleEl || titleEl === observedTitle) return;
+    
+    observedTitle = titleEl;
+    observer.observe(titleEl, { childList: true, characterData: true, subtree: true });
+  };
+  
+  try {
+    observer.observe(document.head || document.documentElement, { childList: true });
+    observeTitleElement();
+    observers.push(observer);
+  } catch (e) {
+    console.error('Error starting title observer:', e);
+  }
+}
+
 // Handle extension context invalidation
 function handleExtensionInvalidation() {
   document.addEventListener('error', (event) => {
@@ -918,6 +1453,24 @@ function safeInit() {
   }
 }
 
+// Inject the hiding stylesheet generated from the selector registry
+function injectRegistryStyles() {
+  try {
+    let styleEl = document.getElementById('feedless-registry-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'feedless-registry-styles';
+      (document.head || document.documentElement).appendChild(styleEl);
+    }
+    styleEl.textContent = buildRegistryStylesheet();
+  } catch (e) {
+    console.error('Error injecting registry styles:', e);
+  }
+}
+
+// Inject styles right away so the feed never flashes before init runs
+injectRegistryStyles();
+
 // Start initialization
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', safeInit, { once: true });
@@ -0,0 +1,156 @@
+// Per-post feed filter: in filter mode the feed stays visible and content.js hands
+// every post the MutationObserver sees to filterFeedPosts(), which hides the ones
+// matching the user's rules. Post parts are located through SELECTOR_REGISTRY.posts.
+// Promoted mode runs the same filter with PROMOTED_FILTER_RULES.
+
+// Marks a post as checked ('kept') or hidden (the rule that matched)
+const FEED_FILTER_ATTRIBUTE = 'data-feedless-filter';
+
+// Header text that gives away what kind of activity a post is
+const POST_TYPE_PATTERNS = {
+  reshare: /\breposted\b/i,
+  reaction: /\b(likes|loves|celebrates|supports|finds this \w+|commented on|reacted to)\b/i,
+  jobChange: /\b(started a new position|starting a new position|new position|new job)\b/i
+};
+
+// Post types that count as promoted or suggested content
+const PROMOTED_POST_TYPES = ['promoted', 'suggested'];
+
+// Rules used by promoted mode
+const PROMOTED_FILTER_RULES = { keywords: [], patterns: [], authors: [], postTypes: PROMOTED_POST_TYPES };
+
+// Prepare rules once so each post is matched cheaply
+function compileFilterRules(rules) {
+  return {
+    keywords: rules.keywords.map(keyword => keyword.toLowerCase()),
+    patterns: rules.patterns.map(pattern => new RegExp(pattern, 'i')),
+    authors: rules.authors.map(author => author.trim().toLowerCase()),
+    postTypes: rules.postTypes
+  };
+}
+
+// Read the parts of a post the rules look at
+function describePost(post) {
+  const parts = SELECTOR_REGISTRY.posts;
+  const textOf = (selector) => {
+    const element = post.querySelector(selector);
+    return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+  };
+  const actorLink = post.querySelector(parts.actorLink);
+
+  const header = textOf(parts.header);
+  const types = [];
+
+  if (post.querySelector(parts.reshare) || POST_TYPE_PATTERNS.reshare.test(header)) {
+    types.push('reshare');
+  }
+  if (post.querySelector(parts.poll)) {
+    types.push('poll');
+  }
+  if (POST_TYPE_PATTERNS.reaction.test(header)) {
+    types.push('reaction');
+  }
+  if (post.querySelector(parts.celebration) || POST_TYPE_PATTERNS.jobChange.test(header) ||
+      POST_TYPE_PATTERNS.jobChange.test(textOf(parts.text))) {
+    types.push('jobChange');
+  }
+
+  // Class names around these labels are obfuscated, so look for the visible text itself
+  const labels = Array.from(post.querySelectorAll(parts.label)).map(element => element.textContent);
+  if (labels.some(text => matchesLabel(text, 'promoted'))) {
+    types.push('promoted');
+  }
+  if (labels.some(text => matchesLabel(text, 'suggested'))) {
+    types.push('suggested');
+  }
+
+  return {
+    text: textOf(parts.text),
+    authorName: textOf(parts.actorName),
+    authorUrl: actorLink ? actorLink.href.split('?')[0] : '',
+    types: types
+  };
+}
+
+// Find the first rule a post matches, or null to keep it
+function getFilterMatch(post, compiled) {
+  const details = describePost(post);
+  const text = details.text.toLowerCase();
+  const authorName = details.authorName.toLowerCase();
+  const authorUrl = details.authorUrl.toLowerCase();
+
+  const type = details.types.find(postType => compiled.postTypes.includes(postType));
+  if (type) return `type:${type}`;
+
+  const keyword = compiled.keywords.find(word => text.includes(word));
+  if (keyword) return 'keyword';
+
+  if (compiled.patterns.some(pattern => pattern.test(details.text))) return 'pattern';
+
+  const author = compiled.authors.find(name =>
+    (authorName && authorName.includes(name)) || (authorUrl && name.includes('/in/') && authorUrl.includes(name.replace(/\/+$/, ''))));
+  if (author) return 'author';
+
+  return null;
+}
+
+// Collect the posts touched by a set of added nodes: those inside them and the one around them
+function collectPosts(nodes) {
+  const postSelector = SELECTOR_REGISTRY.posts.post;
+  const posts = new Set();
+
+  nodes.forEach(node => {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const around = node.closest(postSelector);
+    if (around) posts.add(around);
+    node.querySelectorAll(postSelector).forEach(post => posts.add(post));
+  });
+
+  return Array.from(posts);
+}
+
+// Whether a filter match was a promoted or suggested post
+function isPromotedMatch(match) {
+  return PROMOTED_POST_TYPES.some(type => match === `type:${type}`);
+}
+
+// Whether compiled rules also cover Premium upsell cards
+function hidesPremiumUpsell(compiled) {
+  return Boolean(compiled) && compiled.postTypes.includes('promoted');
+}
+
+// Hide the posts among `nodes` that match the compiled rules; returns the matches of the hidden posts
+function filterFeedPosts(nodes, compiled) {
+  const hidden = [];
+
+  collectPosts(nodes).forEach(post => {
+    try {
+      // A hidden post stays hidden; a kept one is checked again as its content streams in
+      if (post.getAttribute(FEED_FILTER_ATTRIBUTE) && post.getAttribute(FEED_FILTER_ATTRIBUTE) !== 'kept') return;
+
+      const match = getFilterMatch(post, compiled);
+      if (match) {
+        post.style.display = 'none';
+        post.setAttribute(FEED_FILTER_ATTRIBUTE, match);
+        hidden.push(match);
+      } else {
+        post.setAttribute(FEED_FILTER_ATTRIBUTE, 'kept');
+      }
+    } catch (e) {
+      console.error('Error filtering post:', e);
+    }
+  });
+
+  return hidden;
+}
+
+// Show every post the filter hid and forget which posts were checked
+function resetFeedFilter() {
+  document.querySelectorAll(`[${FEED_FILTER_ATTRIBUTE}]`).forEach(post => {
+    if (post.getAttribute(FEED_FILTER_ATTRIBUTE) !== 'kept') {
+      post.style.display = '';
+    }
+    post.removeAttribute(FEED_FILTER_ATTRIBUTE);
+  });
+}
@@ -0,0 +1,139 @@
+// Daily focus: the user's intention for today and a short checklist, shown in the
+// replacement card and the popup. Stored in chrome.storage.local under dailyFocus:
+//   { day: '2025-03-14', intention: 'Reply to recruiters', items: [{ id, text, done }] }
+// A new day starts at focusResetHour; what carries over is set by focusRollover.
+// Needs getDayKey from stats.js and getMessage from i18n.js.
+
+const FOCUS_ITEM_LIMIT = 20;
+const FOCUS_ITEM_MAX_LENGTH = 120;
+const FOCUS_INTENTION_MAX_LENGTH = 200;
+
+// Day key for the focus day a date falls in, which starts at resetHour rather than midnight
+function getFocusDayKey(date, resetHour) {
+  return getDayKey(new Date(date.getTime() - resetHour * 3600000));
+}
+
+// An empty focus for a day
+function createDailyFocus(day) {
+  return { day: day, intention: '', items: [] };
+}
+
+// Check the shape of a stored focus before trusting it
+function isValidDailyFocus(focus) {
+  return Boolean(focus) && typeof focus === 'object' &&
+    typeof focus.day === 'string' && typeof focus.intention === 'string' &&
+    Array.isArray(focus.items) && focus.items.every(item =>
+      item && typeof item.id === 'string' && typeof item.text === 'string' && typeof item.done === 'boolean');
+}
+
+// The focus for the current day, rolling the stored one over if a new day has started
+function resolveDailyFocus(stored, settings, now) {
+  const day = getFocusDayKey(now, settings.focusResetHour);
+
+  if (!isValidDailyFocus(stored)) return createDailyFocus(day);
+  if (stored.day === day) return stored;
+
+  const rolled = createDailyFocus(day);
+  if (settings.focusRollover === 'keepUnfinished') {
+    rolled.items = stored.items.filter(item => !item.done);
+  }
+  return rolled;
+}
+
+// Return a new focus with the intention replaced
+function setFocusIntention(focus, intention) {
+  return Object.assign({}, focus, { intention: intention.slice(0, FOCUS_INTENTION_MAX_LENGTH) });
+}
+
+// Return a new focus with an item appended, or the same focus if it cannot be added
+function addFocusItem(focus, text) {
+  const trimmed = text.trim().slice(0, FOCUS_ITEM_MAX_LENGTH);
+  if (!trimmed || focus.items.length >= FOCUS_ITEM_LIMIT) return focus;
+
+  const item = { id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, text: trimmed, done: false };
+  return Object.assign({}, focus, { items: focus.items.concat(item) });
+}
+
+// Return a new focus with one item ticked or unticked
+function toggleFocusItem(focus, id) {
+  return Object.assign({}, focus, {
+    items: focus.items.map(item => item.id === id ? Object.assign({}, item, { done: !item.done }) : item)
+  });
+}
+
+// Return a new focus without the ticked items
+function clearCompletedFocusItems(focus) {
+  return Object.assign({}, focus, { items: focus.items.filter(item => !item.done) });
+}
+
+// Build the focus widget into a container; every edit is handed to onChange(newFocus)
+function renderFocusWidget(container, focus, onChange) {
+  // Keep typing in the add field possible across re-renders triggered by our own saves
+  const active = document.activeElement;
+  const wasAdding = Boolean(active && container.contains(active) && active.closest('.feedless-focus-add'));
+
+  container.textContent = '';
+
+  const intention = document.createElement('input');
+  intention.type = 'text';
+  intention.className = 'feedless-focus-intention';
+  intention.maxLength = FOCUS_INTENTION_MAX_LENGTH;
+  intention.placeholder = getMessage('focusIntentionPlaceholder');
+  intention.value = focus.intention;
+  intention.addEventListener('change', () => onChange(setFocusIntention(focus, intention.value)));
+  container.appendChild(intention);
+
+  const list = document.createElement('ul');
+  list.className = 'feedless-focus-items';
+  focus.items.forEach(item => {
+    const entry = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = item.done;
+    checkbox.addEventListener('change', () => onChange(toggleFocusItem(focus, item.id)));
+    label.appendChild(checkbox);
+
+    const text = document.createElement('span');
+    text.textContent = item.text;
+    if (item.done) text.className = 'done';
+    label.appendChild(text);
+
+    entry.appendChild(label);
+    list.appendChild(entry);
+  });
+  container.appendChild(list);
+
+  const form = document.createElement('form');
+  form.className = 'feedless-focus-add';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.maxLength = FOCUS_ITEM_MAX_LENGTH;
+  input.placeholder = getMessage(focus.items.length >= FOCUS_ITEM_LIMIT ? 'focusListFull' : 'focusAddPlaceholder');
+  input.disabled = focus.items.length >= FOCUS_ITEM_LIMIT;
+  form.appendChild(input);
+
+  const addButton = document.createElement('button');
+  addButton.type = 'submit';
+  addButton.textContent = getMessage('focusAdd');
+  addButton.disabled = input.disabled;
+  form.appendChild(addButton);
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const updated = addFocusItem(focus, input.value);
+    if (updated !== focus) onChange(updated);
+  });
+  container.appendChild(form);
+  if (wasAdding && !input.disabled) input.focus();
+
+  if (focus.items.some(item => item.done)) {
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.className = 'feedless-focus-clear';
+    clearButton.textContent = getMessage('focusClearCompleted');
+    clearButton.addEventListener('click', () => onChange(clearCompletedFocusItems(focus)));
+    container.appendChild(clearButton);
+  }
+}
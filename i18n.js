@@ -0,0 +1,31 @@
+// UI strings from the _locales message catalogs, shared by the popup, the options page,
+// the content script and the background worker. Static markup names its message with
+// data-i18n (text) or data-i18n-placeholder; scripts look messages up with getMessage().
+// Chrome falls back to the default locale (en) for any message a catalog lacks.
+
+// Look up a message, substituting values for its placeholders in order
+function getMessage(key, substitutions) {
+  try {
+    const substitutionList = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+    return chrome.i18n.getMessage(key, substitutionList) || key;
+  } catch (e) {
+    // The extension context is gone, e.g. after an update in an open tab
+    return key;
+  }
+}
+
+// Fill in every element of a page that names its message in the markup
+function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = getMessage(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = getMessage(element.dataset.i18nPlaceholder);
+  });
+
+  try {
+    document.documentElement.lang = chrome.i18n.getUILanguage();
+  } catch (e) {
+    // Keep the language declared in the markup
+  }
+}
@@ -0,0 +1,90 @@
+// Limited Markdown for user-written text such as the replacement card message.
+// Output is built from DOM nodes and text nodes only, never innerHTML, so any text
+// the user types is shown literally apart from this small syntax:
+//   blank line       new paragraph
+//   - item / * item  bullet list
+//   **bold**  *italic*  _italic_  `code`  [label](https://link)
+// Links must use http or https; anything else is left as plain text.
+
+const INLINE_MARKDOWN = /\*\*([^*]+)\*\*|\*([^*]+)\*|_([^_]+)_|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+const LIST_ITEM = /^\s*[-*]\s+/;
+
+// Whether a link target is safe to put in an href
+function isSafeLinkUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Append the inline formatting of one line of text to a parent node
+function appendInlineMarkdown(parent, text) {
+  let lastIndex = 0;
+  INLINE_MARKDOWN.lastIndex = 0;
+
+  let match;
+  while ((match = INLINE_MARKDOWN.exec(text)) !== null) {
+    parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+    lastIndex = INLINE_MARKDOWN.lastIndex;
+
+    const [source, bold, italic, underscored, code, label, url] = match;
+    let element;
+
+    if (bold !== undefined) {
+      element = document.createElement('strong');
+      element.textContent = bold;
+    } else if (italic !== undefined || underscored !== undefined) {
+      element = document.createElement('em');
+      element.textContent = italic !== undefined ? italic : underscored;
+    } else if (code !== undefined) {
+      element = document.createElement('code');
+      element.textContent = code;
+    } else if (isSafeLinkUrl(url)) {
+      element = document.createElement('a');
+      element.href = url;
+      element.target = '_blank';
+      element.rel = 'noopener noreferrer';
+      element.textContent = label;
+    } else {
+      element = document.createTextNode(source);
+    }
+
+    parent.appendChild(element);
+  }
+
+  parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+}
+
+// Append lines to a parent, keeping single line breaks as <br>
+function appendInlineLines(parent, lines) {
+  lines.forEach((line, index) => {
+    if (index > 0) parent.appendChild(document.createElement('br'));
+    appendInlineMarkdown(parent, line);
+  });
+}
+
+// Turn Markdown text into a list of block nodes (<p> and <ul>)
+function renderMarkdownBlocks(text) {
+  const blocks = [];
+
+  text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).forEach(block => {
+    const lines = block.split('\n');
+
+    if (lines.every(line => LIST_ITEM.test(line))) {
+      const list = document.createElement('ul');
+      lines.forEach(line => {
+        const item = document.createElement('li');
+        appendInlineMarkdown(item, line.replace(LIST_ITEM, ''));
+        list.appendChild(item);
+      });
+      blocks.push(list);
+    } else {
+      const paragraph = document.createElement('p');
+      appendInlineLines(paragraph, lines.map(line => line.trim()));
+      blocks.push(paragraph);
+    }
+  });
+
+  return blocks;
+}
@@ -0,0 +1,965 @@
+// How many previously active packs are kept for rollback
+const MAX_PACK_HISTORY = 5;
+
+// Variables to track UI elements
+let packStatus;
+let packInput;
+let packFile;
+let packPreviewOutput;
+let packApplyButton;
+let packRollbackButton;
+
+let saveStatus;
+let scheduleWindowsList;
+let unlockGate;
+
+// Pack that passed validation in the last preview
+let previewedPack = null;
+let previewedQuotePack = null;
+// Parsed settings backup waiting to be applied
+let previewedBackup = null;
+let saveStatusTimeout = null;
+
+// Initialize options page
+function initializeOptions() {
+  localizePage();
+
+  packStatus = document.getElementById('pack-status');
+  packInput = document.getElementById('pack-input');
+  packFile = document.getElementById('pack-file');
+  packPreviewOutput = document.getElementById('pack-preview-output');
+  packApplyButton = document.getElementById('pack-apply');
+  packRollbackButton = document.getElementById('pack-rollback');
+  saveStatus = document.getElementById('save-status');
+  scheduleWindowsList = document.getElementById('schedule-windows');
+  unlockGate = document.getElementById('unlock-gate');
+
+  if (!saveStatus || !scheduleWindowsList || !unlockGate || !packStatus || !packInput || !packFile || !packPreviewOutput || !packApplyButton || !packRollbackButton) {
+    console.error('Could not find required DOM elements');
+    return;
+  }
+
+  document.getElementById('pack-load').addEventListener('click', () => packFile.click());
+  document.getElementById('pack-preview').addEventListener('click', handlePackPreview);
+  document.getElementById('pack-reset').addEventListener('click', handlePackReset);
+  packFile.addEventListener('change', handlePackFile);
+  packApplyButton.addEventListener('click', handlePackApply);
+  packRollbackButton.addEventListener('click', handlePackRollback);
+
+  // Any edit invalidates the last preview
+  packInput.addEventListener('input', () => {
+    previewedPack = null;
+    packApplyButton.disabled = true;
+  });
+
+  document.getElementById('schedule-add').addEventListener('click', handleScheduleAdd);
+  document.getElementById('stats-clear').addEventListener('click', handleStatsClear);
+  document.getElementById('pin-save').addEventListener('click', handlePinSave);
+  document.getElementById('pin-remove').addEventListener('click', handlePinRemove);
+  document.getElementById('filter-rules').addEventListener('change', saveFilterRules);
+  document.getElementById('quotes-input').addEventListener('change', saveQuotes);
+  document.getElementById('quote-tag-filter').addEventListener('change', saveQuoteTagFilter);
+  document.getElementById('quote-pack-load').addEventListener('click', () => document.getElementById('quote-pack-file').click());
+  document.getElementById('quote-pack-file').addEventListener('change', handleQuotePackFile);
+  document.getElementById('quote-pack-add').addEventListener('click', handleQuotePackAdd);
+  document.getElementById('quote-export-own').addEventListener('click', handleOwnQuotesExport);
+  document.getElementById('replacement-message').addEventListener('input', renderReplacementPreview);
+  document.getElementById('backup-export').addEventListener('click', handleBackupExport);
+  document.getElementById('backup-load').addEventListener('click', () => document.getElementById('backup-file').click());
+  document.getElementById('backup-file').addEventListener('change', handleBackupFile);
+  document.getElementById('backup-mode').addEventListener('change', renderBackupPreview);
+  document.getElementById('backup-apply').addEventListener('click', handleBackupApply);
+
+  bindSettingControls();
+  loadScheduleWindows();
+  loadFilterRules();
+  loadQuotes();
+  loadQuotePacks();
+  renderUnlockLog();
+  loadPinLock();
+  refreshPackStatus();
+  lockOptionsWithPin();
+}
+
+// Read the value of a settings control according to its input type
+function getControlValue(control) {
+  if (control.type === 'checkbox') return control.checked;
+  if (control.type === 'number') return Number(control.value);
+  return control.value;
+}
+
+// Show a setting value in its control
+function setControlValue(control, value) {
+  if (control.type === 'checkbox') {
+    control.checked = value;
+  } else {
+    control.value = value;
+  }
+}
+
+// Load every [data-setting] control from storage and save it whenever it changes
+function bindSettingControls() {
+  document.querySelectorAll('[data-setting]').forEach(control => {
+    control.addEventListener('change', () => saveSettingControl(control));
+  });
+  loadSettingControls();
+}
+
+// Show the stored value of every [data-setting] control, locking the ones the managed policy fixes
+function loadSettingControls() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const settings = resolveSettings(result);
+    const locked = getLockedSettingKeys(result);
+
+    document.querySelectorAll('[data-setting]').forEach(control => {
+      setControlValue(control, settings[control.dataset.setting]);
+      setControlsLocked([control], locked.includes(control.dataset.setting));
+    });
+    document.getElementById('managed-note').hidden = locked.length === 0;
+  });
+}
+
+// Disable the controls of a setting fixed by the managed policy, explaining why on hover
+function setControlsLocked(controls, locked) {
+  controls.forEach(control => {
+    control.disabled = locked;
+    control.title = locked ? getMessage('managedByOrganization') : '';
+  });
+}
+
+// Validate and store the value of a single control
+function saveSettingControl(control) {
+  const key = control.dataset.setting;
+  const patch = sanitizeSettings({ [key]: getControlValue(control) });
+
+  if (!(key in patch)) {
+    showSaveStatus(getMessage('optionsValueNotAllowed'), true);
+    return;
+  }
+
+  // Backing out of the gate puts the control back to the stored value
+  saveSettingsPatch(patch, function(success) {
+    showSaveStatus(getMessage(success ? 'saved' : 'couldNotSave'), !success);
+  }, loadSettingControls);
+}
+
+// Store a settings patch; one that loosens blocking first has to pass the intentional
+// unlock gate, and counts as turning the blocker off, just like the popup switch
+function saveSettingsPatch(patch, onSaved, onCancelled) {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const before = resolveSettings(result);
+    const after = resolveSettings(Object.assign({}, result, patch));
+
+    if (!weakensBlocking(before, after, new Date())) {
+      safeStorageSet(patch, onSaved);
+      return;
+    }
+
+    requestUnlock('disable', unlockGate, function() {
+      safeStorageSet(patch, onSaved);
+      recordUsage('disables');
+      renderUnlockLog();
+    }, onCancelled);
+  });
+}
+
+// Show the stored schedule windows
+function loadScheduleWindows() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    scheduleWindowsList.textContent = '';
+    resolveSettings(result).scheduleWindows.forEach(addScheduleWindowRow);
+
+    const controls = Array.from(scheduleWindowsList.querySelectorAll('input, button'));
+    setControlsLocked(controls.concat(document.getElementById('schedule-add')),
+      getLockedSettingKeys(result).includes('scheduleWindows'));
+  });
+}
+
+// Add an editable row for one schedule window
+function addScheduleWindowRow(scheduleWindow) {
+  const row = document.createElement('div');
+  row.className = 'schedule-window';
+
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.maxLength = 50;
+  name.placeholder = getMessage('optionsScheduleName');
+  name.value = scheduleWindow.name;
+  name.dataset.field = 'name';
+  row.appendChild(name);
+
+  const days = document.createElement('span');
+  days.className = 'days';
+  // Start the week on Monday
+  [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = String(day);
+    checkbox.checked = scheduleWindow.days.includes(day);
+    checkbox.dataset.field = 'day';
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(getWeekdayName(day)));
+    days.appendChild(label);
+  });
+  row.appendChild(days);
+
+  ['start', 'end'].forEach(field => {
+    const time = document.createElement('input');
+    time.type = 'time';
+    time.value = scheduleWindow[field];
+    time.dataset.field = field;
+    row.appendChild(time);
+  });
+
+  const remove = document.createElement('button');
+  remove.textContent = getMessage('remove');
+  remove.addEventListener('click', () => {
+    row.remove();
+    saveScheduleWindows();
+  });
+  row.appendChild(remove);
+
+  row.addEventListener('change', saveScheduleWindows);
+  scheduleWindowsList.appendChild(row);
+}
+
+// Add a new window with weekday working hours
+function handleScheduleAdd() {
+  addScheduleWindowRow({ name: '', days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' });
+  saveScheduleWindows();
+}
+
+// Read every row back into schedule windows and store them if they are all valid
+function saveScheduleWindows() {
+  const rows = Array.from(scheduleWindowsList.querySelectorAll('.schedule-window'));
+
+  const windows = rows.map(row => ({
+    name: row.querySelector('[data-field="name"]').value.trim(),
+    days: Array.from(row.querySelectorAll('[data-field="day"]:checked')).map(checkbox => Number(checkbox.value)),
+    start: row.querySelector('[data-field="start"]').value,
+    end: row.querySelector('[data-field="end"]').value
+  }));
+
+  let allValid = true;
+  windows.forEach((scheduleWindow, index) => {
+    const valid = isValidScheduleWindow(scheduleWindow);
+    rows[index].classList.toggle('invalid', !valid);
+    allValid = allValid && valid;
+  });
+
+  if (!allValid) {
+    showSaveStatus(getMessage('optionsScheduleInvalid'), true);
+    return;
+  }
+
+  const patch = sanitizeSettings({ scheduleWindows: windows });
+  if (!patch.scheduleWindows) {
+    showSaveStatus(getMessage('optionsScheduleTooMany'), true);
+    return;
+  }
+
+  saveSettingsPatch(patch, function(success) {
+    showSaveStatus(getMessage(success ? 'saved' : 'couldNotSave'), !success);
+  }, loadScheduleWindows);
+}
+
+// Split a textarea into its non-empty lines
+function readLines(textarea) {
+  return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Show the stored feed filter rules
+function loadFilterRules() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const rules = resolveSettings(result).filterRules;
+
+    ['keywords', 'patterns', 'authors'].forEach(field => {
+      document.getElementById(`filter-${field}`).value = rules[field].join('\n');
+    });
+    document.querySelectorAll('[data-filter-type]').forEach(checkbox => {
+      checkbox.checked = rules.postTypes.includes(checkbox.dataset.filterType);
+    });
+    setControlsLocked(document.querySelectorAll('#filter-rules textarea, #filter-rules input'),
+      getLockedSettingKeys(result).includes('filterRules'));
+  });
+}
+
+// Read the filter rule fields back and store them if they are valid
+function saveFilterRules() {
+  const rules = {
+    keywords: readLines(document.getElementById('filter-keywords')),
+    patterns: readLines(document.getElementById('filter-patterns')),
+    authors: readLines(document.getElementById('filter-authors')),
+    postTypes: Array.from(document.querySelectorAll('[data-filter-type]:checked')).map(checkbox => checkbox.dataset.filterType)
+  };
+
+  const invalidPattern = rules.patterns.find(pattern => {
+    try {
+      new RegExp(pattern, 'i');
+      return false;
+    } catch (e) {
+      return true;
+    }
+  });
+  if (invalidPattern) {
+    showSaveStatus(getMessage('optionsFilterInvalidPattern', invalidPattern), true);
+    return;
+  }
+
+  const patch = sanitizeSettings({ filterRules: rules });
+  if (!patch.filterRules) {
+    showSaveStatus(getMessage('optionsFilterTooMany'), true);
+    return;
+  }
+
+  saveSettingsPatch(patch, function(success) {
+    showSaveStatus(getMessage(success ? 'saved' : 'couldNotSave'), !success);
+  }, loadFilterRules);
+}
+
+// Show the stored quotes, one per line
+function loadQuotes() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const settings = resolveSettings(result);
+    document.getElementById('quotes-input').value = settings.quotes.join('\n');
+    setControlsLocked([document.getElementById('quotes-input')], getLockedSettingKeys(result).includes('quotes'));
+    renderReplacementPreview();
+  });
+}
+
+// Store the edited quote list if it is valid
+function saveQuotes() {
+  const patch = sanitizeSettings({ quotes: readLines(document.getElementById('quotes-input')) });
+  if (!patch.quotes) {
+    showSaveStatus(getMessage('optionsQuotesTooMany'), true);
+    return;
+  }
+
+  safeStorageSet(patch, function(success) {
+    showSaveStatus(getMessage(success ? 'saved' : 'couldNotSave'), !success);
+  });
+}
+
+// Show the imported packs, the known tags and the tag filter
+function loadQuotePacks() {
+  safeStorageGet(SETTING_KEYS.concat('quotePacks'), function(result) {
+    const settings = resolveSettings(result);
+    const packs = Array.isArray(result.quotePacks) ? result.quotePacks : [];
+    const list = document.getElementById('quote-packs-list');
+
+    list.textContent = '';
+    packs.forEach(pack => list.appendChild(renderQuotePackRow(pack)));
+
+    if (packs.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'hint';
+      empty.textContent = getMessage('optionsQuotePacksEmpty');
+      list.appendChild(empty);
+    }
+
+    document.getElementById('quote-tag-filter').value = settings.quoteTagFilter.join(', ');
+    setControlsLocked([document.getElementById('quote-tag-filter')], getLockedSettingKeys(result).includes('quoteTagFilter'));
+    const tags = collectQuoteTags(packs);
+    document.getElementById('quote-tags-known').textContent = tags.length > 0 ? getMessage('optionsQuoteTagsKnown', tags.join(', ')) : '';
+  });
+}
+
+// Build the row for one imported pack
+function renderQuotePackRow(pack) {
+  const row = document.createElement('div');
+  row.className = 'quote-pack';
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = pack.enabled;
+  enabled.title = getMessage('optionsQuotePackUse');
+  enabled.addEventListener('change', () => {
+    updateQuotePacks(packs => packs.map(entry => entry.id === pack.id ? Object.assign({}, entry, { enabled: enabled.checked }) : entry));
+  });
+  row.appendChild(enabled);
+
+  const info = document.createElement('div');
+  info.className = 'quote-pack-info';
+  const name = document.createElement('div');
+  name.textContent = pack.name;
+  info.appendChild(name);
+  const details = document.createElement('div');
+  details.className = 'hint';
+  const tags = collectQuoteTags([pack]);
+  details.textContent = tags.length > 0
+    ? getMessage('optionsQuotePackCountTags', [pack.quotes.length, tags.join(', ')])
+    : getMessage('optionsQuotePackCount', pack.quotes.length);
+  info.appendChild(details);
+  row.appendChild(info);
+
+  [['JSON', exportQuotePackJson, 'application/json'], ['CSV', exportQuotePackCsv, 'text/csv']].forEach(([format, serialize, type]) => {
+    const exportButton = document.createElement('button');
+    exportButton.textContent = getMessage('optionsQuotePackExport', format);
+    exportButton.addEventListener('click', () => downloadFile(`${pack.name}.${format.toLowerCase()}`, serialize(pack), type));
+    row.appendChild(exportButton);
+  });
+
+  const remove = document.createElement('button');
+  remove.textContent = getMessage('remove');
+  remove.addEventListener('click', () => {
+    if (!confirm(getMessage('optionsQuotePackRemoveConfirm', pack.name))) return;
+    updateQuotePacks(packs => packs.filter(entry => entry.id !== pack.id));
+  });
+  row.appendChild(remove);
+
+  return row;
+}
+
+// Apply a change to the stored pack list and show the result; the change returns null to cancel
+function updateQuotePacks(change) {
+  safeStorageGet(['quotePacks'], function(result) {
+    const packs = change(Array.isArray(result.quotePacks) ? result.quotePacks : []);
+    if (!packs) return;
+
+    safeStorageSet({ quotePacks: packs }, function(success) {
+      showSaveStatus(getMessage(success ? 'saved' : 'couldNotSave'), !success);
+      loadQuotePacks();
+    });
+  });
+}
+
+// Read a pack file and preview it
+function handleQuotePackFile() {
+  const fileInput = document.getElementById('quote-pack-file');
+  const file = fileInput.files && fileInput.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    fileInput.value = '';
+    renderQuotePackPreview(parseQuotePackFile(file.name, reader.result));
+  };
+  reader.onerror = () => {
+    console.error('Error reading quote pack file:', reader.error);
+    renderQuotePackPreview({ pack: null, errors: [getMessage('couldNotReadFile')] });
+  };
+  reader.readAsText(file);
+}
+
+// Show the parsed pack, or why it cannot be imported
+function renderQuotePackPreview(result) {
+  const preview = document.getElementById('quote-pack-preview');
+  const addButton = document.getElementById('quote-pack-add');
+
+  previewedQuotePack = result.pack;
+  addButton.disabled = !result.pack;
+  preview.textContent = '';
+
+  const heading = document.createElement('div');
+  heading.className = result.pack ? 'status enabled' : 'status error';
+  heading.textContent = result.pack
+    ? getMessage('optionsQuotePackPreview', [result.pack.name, result.pack.quotes.length])
+    : getMessage('optionsQuotePackInvalid');
+  preview.appendChild(heading);
+
+  const list = document.createElement('ul');
+  const lines = result.pack
+    ? result.pack.quotes.slice(0, 5).map(quote => quote.text + (quote.author ? ` — ${quote.author}` : '') +
+        (quote.tags.length > 0 ? ` [${quote.tags.join(', ')}]` : ''))
+    : result.errors.slice(0, 10);
+  lines.forEach(line => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    list.appendChild(item);
+  });
+  if (result.pack && result.pack.quotes.length > 5) {
+    const more = document.createElement('li');
+    more.textContent = getMessage('optionsQuotePackMore', result.pack.quotes.length - 5);
+    list.appendChild(more);
+  }
+  preview.appendChild(list);
+}
+
+// Store the previewed pack as a new, enabled pack
+function handleQuotePackAdd() {
+  if (!previewedQuotePack) return;
+
+  const pack = Object.assign({ id: `pack-${Date.now().toString(36)}`, enabled: true }, previewedQuotePack);
+  updateQuotePacks(function(packs) {
+    if (packs.length >= QUOTE_PACK_LIMIT) {
+      showSaveStatus(getMessage('optionsQuotePackLimit', QUOTE_PACK_LIMIT), true);
+      return null;
+    }
+    return packs.concat(pack);
+  });
+
+  previewedQuotePack = null;
+  document.getElementById('quote-pack-add').disabled = true;
+  document.getElementById('quote-pack-preview').textContent = '';
+}
+
+// Export the user's own quotes as a JSON pack
+function handleOwnQuotesExport() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const quotes = resolveSettings(result).quotes.map(text => ({ text: text, tags: [] }));
+    downloadFile('my-quotes.json', exportQuotePackJson({ name: getMessage('optionsMyQuotes'), quotes: quotes }), 'application/json');
+  });
+}
+
+// Store the tag filter typed as a comma separated list
+function saveQuoteTagFilter() {
+  const tags = normalizeQuoteTags(document.getElementById('quote-tag-filter').value.split(','));
+  const patch = sanitizeSettings({ quoteTagFilter: tags });
+  if (!patch.quoteTagFilter) {
+    showSaveStatus(getMessage('optionsQuoteTagsTooMany'), true);
+    return;
+  }
+
+  safeStorageSet(patch, function(success) {
+    showSaveStatus(getMessage(success ? 'saved' : 'couldNotSave'), !success);
+  });
+}
+
+// Offer text as a file download
+function downloadFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type: type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Download every setting as a backup file
+function handleBackupExport() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const now = new Date();
+    const fileName = `feedless-backup-${now.toISOString().slice(0, 10)}.json`;
+    downloadFile(fileName, exportSettingsBackup(resolveSettings(result), now), 'application/json');
+  });
+}
+
+// Read a backup file and preview what it would change
+function handleBackupFile() {
+  const fileInput = document.getElementById('backup-file');
+  const file = fileInput.files && fileInput.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    fileInput.value = '';
+    previewedBackup = parseSettingsBackup(reader.result);
+    renderBackupPreview();
+  };
+  reader.onerror = () => {
+    console.error('Error reading backup file:', reader.error);
+    previewedBackup = { settings: null, skipped: [], errors: [getMessage('couldNotReadFile')] };
+    renderBackupPreview();
+  };
+  reader.readAsText(file);
+}
+
+// Show why the backup cannot be imported, or the settings it would change in the chosen mode
+function renderBackupPreview() {
+  const preview = document.getElementById('backup-preview');
+  const applyButton = document.getElementById('backup-apply');
+  const mode = document.getElementById('backup-mode').value;
+
+  preview.textContent = '';
+  applyButton.disabled = true;
+  if (!previewedBackup) return;
+
+  const heading = document.createElement('div');
+  const list = document.createElement('ul');
+  preview.appendChild(heading);
+  preview.appendChild(list);
+
+  if (!previewedBackup.settings) {
+    heading.className = 'status error';
+    heading.textContent = getMessage('optionsBackupInvalid');
+    previewedBackup.errors.slice(0, 10).forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+    return;
+  }
+
+  safeStorageGet(SETTING_KEYS, function(result) {
+    // Settings fixed by the managed policy would not change, so leave them out
+    const locked = getLockedSettingKeys(result);
+    const changes = diffSettings(resolveSettings(result), getBackupPatch(previewedBackup.settings, mode))
+      .filter(change => !locked.includes(change.key));
+
+    heading.className = 'status enabled';
+    heading.textContent = changes.length === 0
+      ? getMessage('optionsBackupNoChanges')
+      : getMessage('optionsBackupChanges', changes.length);
+    changes.forEach(change => {
+      const item = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = `${change.key}: ${formatBackupValue(change.from)} → ${formatBackupValue(change.to)}`;
+      item.appendChild(code);
+      list.appendChild(item);
+    });
+
+    if (previewedBackup.skipped.length > 0) {
+      const skipped = document.createElement('div');
+      skipped.className = 'hint';
+      skipped.textContent = getMessage('optionsBackupSkipped', previewedBackup.skipped.join(', '));
+      preview.appendChild(skipped);
+    }
+
+    applyButton.disabled = changes.length === 0;
+  });
+}
+
+// Shorten a setting value for the backup diff
+function formatBackupValue(value) {
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Write the previewed backup, then show the new values everywhere on the page
+function handleBackupApply() {
+  if (!previewedBackup || !previewedBackup.settings) return;
+
+  const mode = document.getElementById('backup-mode').value;
+  saveSettingsPatch(sanitizeSettings(getBackupPatch(previewedBackup.settings, mode)), function(success) {
+    showSaveStatus(getMessage(success ? 'optionsBackupApplied' : 'couldNotSave'), !success);
+    if (!success) return;
+
+    previewedBackup = null;
+    renderBackupPreview();
+    loadSettingControls();
+    loadScheduleWindows();
+    loadFilterRules();
+    loadQuotes();
+    loadQuotePacks();
+  });
+}
+
+// Show how the message will look on the card
+function renderReplacementPreview() {
+  const preview = document.getElementById('replacement-preview');
+  preview.textContent = '';
+  renderMarkdownBlocks(document.getElementById('replacement-message').value).forEach(block => {
+    preview.appendChild(block);
+  });
+}
+
+// Show today's unlock count and the most recent logged unlocks
+function renderUnlockLog() {
+  const summary = document.getElementById('unlock-log-summary');
+  const list = document.getElementById('unlock-log-list');
+  if (!summary || !list) return;
+
+  safeStorageGet(['unlockLog'], function(result) {
+    const log = Array.isArray(result.unlockLog) ? result.unlockLog : [];
+
+    summary.textContent = getMessage('optionsUnlocksToday', countUnlocksToday(log, new Date()));
+    list.textContent = '';
+
+    log.slice(-10).reverse().forEach(entry => {
+      const item = document.createElement('li');
+      const time = new Date(entry.time).toLocaleString();
+      const action = getMessage(entry.action === 'snooze' ? 'optionsUnlockSnoozed' : 'optionsUnlockTurnedOff');
+      item.textContent = entry.reason
+        ? getMessage('optionsUnlockLogEntryReason', [time, action, entry.reason])
+        : getMessage('optionsUnlockLogEntry', [time, action]);
+      list.appendChild(item);
+    });
+  });
+}
+
+// Keep every control out of reach until the PIN, if one is set, is entered
+function lockOptionsWithPin() {
+  const container = document.querySelector('.container');
+  const gate = document.getElementById('pin-gate');
+  container.inert = true;
+
+  safeStorageGet(PIN_STORAGE_KEYS, function(result) {
+    if (!isPinLockSet(result.pinLock)) {
+      container.inert = false;
+      return;
+    }
+
+    gate.hidden = false;
+    renderPinPrompt(document.getElementById('pin-prompt'), {
+      onUnlock: function() {
+        gate.hidden = true;
+        container.inert = false;
+      },
+      // Every setting is back to its default, so load the page over
+      onReset: function() {
+        window.location.reload();
+      }
+    });
+  });
+}
+
+// Show whether a PIN is set, and offer to change or remove it
+function loadPinLock() {
+  safeStorageGet(PIN_STORAGE_KEYS, function(result) {
+    const isSet = isPinLockSet(result.pinLock);
+
+    document.getElementById('pin-status').textContent = getMessage(isSet ? 'optionsPinIsSet' : 'optionsPinNotSet');
+    document.getElementById('pin-save').textContent = getMessage(isSet ? 'optionsPinChange' : 'optionsPinSet');
+    document.getElementById('pin-remove').hidden = !isSet;
+  });
+}
+
+// Store the salted hash of a new PIN
+function handlePinSave() {
+  const pinInput = document.getElementById('pin-new');
+  const repeatInput = document.getElementById('pin-repeat');
+
+  if (!isValidPin(pinInput.value)) {
+    showSaveStatus(getMessage('optionsPinInvalid', [PIN_MIN_LENGTH, PIN_MAX_LENGTH]), true);
+    return;
+  }
+  if (pinInput.value !== repeatInput.value) {
+    showSaveStatus(getMessage('optionsPinMismatch'), true);
+    return;
+  }
+
+  createPinLock(pinInput.value, function(lock) {
+    if (!lock) {
+      showSaveStatus(getMessage('couldNotSave'), true);
+      return;
+    }
+
+    safeStorageSet({ pinLock: lock }, function(success) {
+      showSaveStatus(getMessage(success ? 'saved' : 'couldNotSave'), !success);
+      if (!success) return;
+
+      pinInput.value = '';
+      repeatInput.value = '';
+      loadPinLock();
+    });
+  });
+}
+
+// Turn the PIN lock off
+function handlePinRemove() {
+  safeStorageRemove(PIN_STORAGE_KEYS, function(success) {
+    showSaveStatus(getMessage(success ? 'saved' : 'couldNotSave'), !success);
+    loadPinLock();
+  });
+}
+
+// Delete all recorded usage statistics
+function handleStatsClear() {
+  if (!confirm(getMessage('optionsStatsClearConfirm'))) return;
+
+  safeStorageSet({ usageStats: {} }, function(success) {
+    showSaveStatus(getMessage(success ? 'optionsStatsCleared' : 'optionsStatsClearFailed'), !success);
+  });
+}
+
+// Briefly show the result of a save
+function showSaveStatus(message, isError = false) {
+  saveStatus.textContent = message;
+  saveStatus.className = 'save-status visible' + (isError ? ' error' : '');
+
+  clearTimeout(saveStatusTimeout);
+  saveStatusTimeout = setTimeout(() => {
+    saveStatus.className = 'save-status';
+  }, 2000);
+}
+
+// Show which selector pack is active and whether a rollback is possible
+function refreshPackStatus() {
+  safeStorageGet(['selectorPack', 'selectorPackHistory'], function(result) {
+    const pack = result.selectorPack;
+    const history = Array.isArray(result.selectorPackHistory) ? result.selectorPackHistory : [];
+
+    if (pack) {
+      packStatus.textContent = pack.importedAt
+        ? getMessage('optionsPackActiveImported', [pack.name, pack.version, new Date(pack.importedAt).toLocaleString()])
+        : getMessage('optionsPackActive', [pack.name, pack.version]);
+      packStatus.className = 'status enabled';
+    } else {
+      packStatus.textContent = getMessage('optionsPackBuiltIn', SELECTOR_REGISTRY.version);
+      packStatus.className = 'status';
+    }
+
+    packRollbackButton.disabled = history.length === 0;
+  });
+}
+
+// Read a pack from a JSON file into the text area
+function handlePackFile() {
+  const file = packFile.files && packFile.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    packInput.value = reader.result;
+    packFile.value = '';
+    handlePackPreview();
+  };
+  reader.onerror = () => {
+    console.error('Error reading selector pack file:', reader.error);
+    renderPackErrors([getMessage('couldNotReadFile')]);
+  };
+  reader.readAsText(file);
+}
+
+// Validate the pasted pack and show what it would change
+function handlePackPreview() {
+  previewedPack = null;
+  packApplyButton.disabled = true;
+
+  let pack;
+  try {
+    pack = JSON.parse(packInput.value);
+  } catch (e) {
+    renderPackErrors([getMessage('validationInvalidJson', e.message)]);
+    return;
+  }
+
+  const errors = validateSelectorPack(pack);
+  if (errors.length > 0) {
+    renderPackErrors(errors);
+    return;
+  }
+
+  previewedPack = pack;
+  packApplyButton.disabled = false;
+  renderPackPreview(pack);
+}
+
+// List validation problems
+function renderPackErrors(errors) {
+  packPreviewOutput.textContent = '';
+
+  const heading = document.createElement('div');
+  heading.className = 'status error';
+  heading.textContent = getMessage('optionsPackInvalid');
+  packPreviewOutput.appendChild(heading);
+
+  const list = document.createElement('ul');
+  errors.forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    list.appendChild(item);
+  });
+  packPreviewOutput.appendChild(list);
+}
+
+// Describe a strategy in one line for the preview
+function describeStrategy(strategy) {
+  if (strategy.type === 'text') {
+    return `text "${strategy.match.join('" / "')}" in ${strategy.candidates}`;
+  }
+  return strategyToSelector(strategy);
+}
+
+// Show the resulting strategies per surface
+function renderPackPreview(pack) {
+  packPreviewOutput.textContent = '';
+
+  const heading = document.createElement('div');
+  heading.className = 'status enabled';
+  heading.textContent = getMessage('optionsPackValid', [pack.name, pack.version]);
+  packPreviewOutput.appendChild(heading);
+
+  Object.keys(pack.surfaces).forEach(surfaceName => {
+    const entry = pack.surfaces[surfaceName];
+    const mode = entry.mode || 'extend';
+    const builtInCount = SELECTOR_REGISTRY.surfaces[surfaceName].strategies.length;
+
+    const title = document.createElement('div');
+    title.textContent = mode === 'override'
+      ? getMessage('optionsPackSurfaceOverride', [surfaceName, builtInCount])
+      : getMessage('optionsPackSurfaceExtend', [surfaceName, builtInCount]);
+    packPreviewOutput.appendChild(title);
+
+    const list = document.createElement('ul');
+    entry.strategies.forEach(strategy => {
+      const item = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = describeStrategy(strategy);
+      item.appendChild(code);
+      list.appendChild(item);
+    });
+    packPreviewOutput.appendChild(list);
+  });
+}
+
+// The feed surface of a selector pack, or null when the pack leaves it to the built-ins
+function getPackFeedEntry(pack) {
+  return pack && pack.surfaces && pack.surfaces.feed || null;
+}
+
+// Write a selector pack change. A change to the feed surface can stop the feed from being
+// hidden (an override that matches nothing), so it passes the unlock gate first
+function savePackChange(currentPack, patch, callback) {
+  if (JSON.stringify(getPackFeedEntry(currentPack)) === JSON.stringify(getPackFeedEntry(patch.selectorPack))) {
+    safeStorageSet(patch, callback);
+    return;
+  }
+
+  requestUnlock('disable', unlockGate, function() {
+    safeStorageSet(patch, callback);
+    renderUnlockLog();
+  });
+}
+
+// Make a pack active, remembering the previous one for rollback
+function activatePack(pack, callback) {
+  safeStorageGet(['selectorPack', 'selectorPackHistory'], function(result) {
+    const history = Array.isArray(result.selectorPackHistory) ? result.selectorPackHistory : [];
+
+    // Nothing to do when switching from the built-ins to the built-ins
+    if (!pack && !result.selectorPack) {
+      if (callback) callback(true);
+      return;
+    }
+
+    // A null entry stands for the built-in selectors
+    history.push(result.selectorPack || null);
+
+    savePackChange(result.selectorPack, {
+      selectorPack: pack,
+      selectorPackHistory: history.slice(-MAX_PACK_HISTORY)
+    }, callback);
+  });
+}
+
+// Apply the previewed pack
+function handlePackApply() {
+  if (!previewedPack) return;
+
+  const pack = Object.assign({}, previewedPack, { importedAt: Date.now() });
+  activatePack(pack, function() {
+    previewedPack = null;
+    packApplyButton.disabled = true;
+    packPreviewOutput.textContent = '';
+    refreshPackStatus();
+  });
+}
+
+// Restore the previously active pack
+function handlePackRollback() {
+  safeStorageGet(['selectorPack', 'selectorPackHistory'], function(result) {
+    const history = Array.isArray(result.selectorPackHistory) ? result.selectorPackHistory : [];
+    if (history.length === 0) return;
+
+    const previous = history.pop();
+    savePackChange(result.selectorPack, {
+      selectorPack: previous,
+      selectorPackHistory: history
+    }, refreshPackStatus);
+  });
+}
+
+// Go back to the selectors shipped with the extension
+function handlePackReset() {
+  activatePack(null, refreshPackStatus);
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', initializeOptions);
+
+// Error handling for the entire options page
+window.addEventListener('error', function(event) {
+  console.error('Global error:', event.error);
+});
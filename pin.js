@@ -0,0 +1,227 @@
+// PIN lock: an optional PIN that must be entered before the feed blocker can be turned
+// off or a setting changed in the popup or the options page. Stored in
+// chrome.storage.local, on this device only:
+//   pinLock:     { salt: 'base64', hash: 'base64', iterations: 310000 }, PBKDF2-SHA-256 of the PIN
+//   pinAttempts: { failures: 2, lockedUntil: 0 }
+// The PIN itself is never stored. A forgotten PIN is recovered by resetting every setting,
+// which removes the PIN as well.
+// Needs getMessage from i18n.js and the storage wrappers from storage.js.
+
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 32;
+const PIN_HASH_ITERATIONS = 310000;
+const PIN_SALT_BYTES = 16;
+
+// Wrong PINs in a row before further attempts are refused for PIN_LOCKOUT_MINUTES
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCKOUT_MINUTES = 15;
+
+const PIN_STORAGE_KEYS = ['pinLock', 'pinAttempts'];
+
+// Settings a recovery reset keeps: the user's own quotes cannot loosen blocking
+const PIN_RESET_KEPT_SETTINGS = ['quotes', 'quoteTagFilter'];
+
+// Whether a PIN is long enough, and short enough, to be set
+function isValidPin(pin) {
+  return typeof pin === 'string' && pin.length >= PIN_MIN_LENGTH && pin.length <= PIN_MAX_LENGTH;
+}
+
+// Check the shape of a stored PIN lock before trusting it
+function isPinLockSet(lock) {
+  return Boolean(lock) && typeof lock === 'object' &&
+    typeof lock.salt === 'string' && typeof lock.hash === 'string' &&
+    Number.isInteger(lock.iterations) && lock.iterations > 0;
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Derive the hash of a PIN; calls back with it in base64, or null if hashing failed
+function hashPin(pin, salt, iterations, callback) {
+  crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits'])
+    .then(key => crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations: iterations }, key, 256))
+    .then(bits => bytesToBase64(bits), error => {
+      console.error('Error hashing PIN:', error);
+      return null;
+    })
+    .then(callback);
+}
+
+// Build the PIN lock to store for a new PIN; calls back with null if hashing failed
+function createPinLock(pin, callback) {
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(PIN_SALT_BYTES)));
+
+  hashPin(pin, salt, PIN_HASH_ITERATIONS, function(hash) {
+    callback(hash ? { salt: salt, hash: hash, iterations: PIN_HASH_ITERATIONS } : null);
+  });
+}
+
+// Compare two hashes without stopping at the first difference
+function pinHashesEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+// Check a PIN against the stored lock; calls back with whether it matches
+function checkPin(pin, lock, callback) {
+  hashPin(pin, lock.salt, lock.iterations, function(hash) {
+    callback(hash !== null && pinHashesEqual(hash, lock.hash));
+  });
+}
+
+// Milliseconds until another PIN may be tried, or 0 if one may be tried now
+function getPinLockoutRemaining(attempts, now) {
+  return attempts && attempts.lockedUntil > now ? attempts.lockedUntil - now : 0;
+}
+
+// Return the attempts after a wrong PIN; reaching the limit starts a lockout and the count over
+function recordPinFailure(attempts, now) {
+  const failures = (attempts && attempts.failures || 0) + 1;
+
+  if (failures >= PIN_MAX_FAILURES) {
+    return { failures: 0, lockedUntil: now + PIN_LOCKOUT_MINUTES * 60000 };
+  }
+  return { failures: failures, lockedUntil: 0 };
+}
+
+// Recovery for a forgotten PIN: remove it along with every setting but the quotes, here and in sync
+function resetPinAndSettings(callback) {
+  const settingKeys = SETTING_KEYS.filter(key => !PIN_RESET_KEPT_SETTINGS.includes(key));
+  safeStorageRemove(settingKeys.concat(PIN_STORAGE_KEYS), callback);
+}
+
+function getPinLockoutMessage(lockedUntil) {
+  const time = new Date(lockedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return getMessage('pinLockedOut', time);
+}
+
+// Build the PIN prompt into a container. handlers.onUnlock runs once the right PIN is
+// entered, handlers.onReset after the recovery reset; without handlers.onCancel there is
+// no way to dismiss the prompt
+function renderPinPrompt(container, handlers) {
+  container.textContent = '';
+
+  const title = document.createElement('h2');
+  title.textContent = getMessage('pinPromptTitle');
+
+  const message = document.createElement('p');
+  message.textContent = getMessage('pinPromptMessage');
+
+  const form = document.createElement('form');
+  form.className = 'feedless-pin-form';
+
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.className = 'feedless-pin-input';
+  input.autocomplete = 'off';
+  input.maxLength = PIN_MAX_LENGTH;
+  input.setAttribute('aria-label', getMessage('pinPromptTitle'));
+
+  const error = document.createElement('p');
+  error.className = 'feedless-pin-error';
+
+  const actions = document.createElement('div');
+  actions.className = 'feedless-pin-actions';
+
+  const unlockButton = document.createElement('button');
+  unlockButton.type = 'submit';
+  unlockButton.className = 'primary';
+  unlockButton.textContent = getMessage('pinUnlock');
+
+  if (handlers.onCancel) {
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.textContent = getMessage('pinCancel');
+    cancelButton.addEventListener('click', handlers.onCancel);
+    actions.appendChild(cancelButton);
+  }
+  actions.appendChild(unlockButton);
+
+  const forgot = document.createElement('button');
+  forgot.type = 'button';
+  forgot.className = 'feedless-pin-forgot';
+  forgot.textContent = getMessage('pinForgot');
+  forgot.addEventListener('click', () => renderPinReset(container, handlers));
+
+  form.addEventListener('submit', function(event) {
+    event.preventDefault();
+    if (unlockButton.disabled) return;
+
+    safeStorageGet(PIN_STORAGE_KEYS, function(result) {
+      // The PIN was removed in another window
+      if (!isPinLockSet(result.pinLock)) {
+        handlers.onUnlock();
+        return;
+      }
+
+      if (getPinLockoutRemaining(result.pinAttempts, Date.now()) > 0) {
+        error.textContent = getPinLockoutMessage(result.pinAttempts.lockedUntil);
+        return;
+      }
+
+      unlockButton.disabled = true;
+      checkPin(input.value, result.pinLock, function(matches) {
+        unlockButton.disabled = false;
+
+        if (matches) {
+          safeStorageRemove(['pinAttempts'], () => handlers.onUnlock());
+          return;
+        }
+
+        const attempts = recordPinFailure(result.pinAttempts, Date.now());
+        safeStorageSet({ pinAttempts: attempts });
+        input.value = '';
+        input.focus();
+        error.textContent = attempts.lockedUntil
+          ? getPinLockoutMessage(attempts.lockedUntil)
+          : getMessage('pinWrong', PIN_MAX_FAILURES - attempts.failures);
+      });
+    });
+  });
+
+  form.append(input, error, actions);
+  container.append(title, message, form, forgot);
+  input.focus();
+}
+
+// Swap the PIN prompt for the confirmation of the recovery reset
+function renderPinReset(container, handlers) {
+  container.textContent = '';
+
+  const title = document.createElement('h2');
+  title.textContent = getMessage('pinResetTitle');
+
+  const message = document.createElement('p');
+  message.textContent = getMessage('pinResetMessage');
+
+  const actions = document.createElement('div');
+  actions.className = 'feedless-pin-actions';
+
+  const backButton = document.createElement('button');
+  backButton.type = 'button';
+  backButton.className = 'primary';
+  backButton.textContent = getMessage('pinResetBack');
+  backButton.addEventListener('click', () => renderPinPrompt(container, handlers));
+
+  const resetButton = document.createElement('button');
+  resetButton.type = 'button';
+  resetButton.textContent = getMessage('pinResetConfirm');
+  resetButton.addEventListener('click', function() {
+    resetButton.disabled = true;
+    resetPinAndSettings(() => handlers.onReset());
+  });
+
+  actions.append(backButton, resetButton);
+  container.append(title, message, actions);
+}
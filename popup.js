@@ -1,8 +1,22 @@
 // Variables to track UI elements
 let toggleCheckbox;
-// let newsToggleCheckbox; // Commented out for future update
+let newsToggleCheckbox;
 let statusText;
-// let newsStatusText; // Commented out for future update
+let newsStatusText;
+let scheduleText;
+let promotedText;
+let snoozeControls;
+let snoozeActive;
+let snoozeText;
+
+let unlockGate;
+let pinGate;
+
+// Countdown shown while a snooze is running
+let snoozeIntervalId = null;
+
+// Whether the PIN was entered while this popup has been open
+let pinUnlocked = false;
 
 // Safe wrapper for chrome API calls
 function safeExecute(fn) {
@@ -59,111 +73,191 @@ function safeTabsQuery(callback) {
   }
 }
 
-function safeStorageGet(keys, callback) {
-  try {
-    chrome.storage.local.get(keys, function(result) {
-      if (chrome.runtime.lastError) {
-        console.error('Error getting from storage:', chrome.runtime.lastError);
-        callback({});
-        return;
-      }
-      
-      callback(result);
-    });
-  } catch (error) {
-    console.error('Error in storage get:', error);
-    callback({});
-  }
-}
-
-function safeStorageSet(data, callback) {
-  try {
-    chrome.storage.local.set(data, function() {
-      if (chrome.runtime.lastError) {
-        console.error('Error setting storage:', chrome.runtime.lastError);
-        if (callback) callback(false);
-        return;
-      }
-      
-      if (callback) callback(true);
-    });
-  } catch (error) {
-    console.error('Error in storage set:', error);
-    if (callback) callback(false);
-  }
-}
-
 // Initialize popup
 function initializePopup() {
+  localizePage();
+  
   // Get DOM elements
   toggleCheckbox = document.getElementById('feed-blocker-toggle');
-  // newsToggleCheckbox = document.getElementById('news-blocker-toggle'); // Commented out for future update
+  newsToggleCheckbox = document.getElementById('news-blocker-toggle');
   statusText = document.getElementById('status-text');
-  // newsStatusText = document.getElementById('news-status-text'); // Commented out for future update
+  newsStatusText = document.getElementById('news-status-text');
+  scheduleText = document.getElementById('schedule-text');
+  promotedText = document.getElementById('promoted-text');
+  snoozeControls = document.getElementById('snooze-controls');
+  snoozeActive = document.getElementById('snooze-active');
+  snoozeText = document.getElementById('snooze-text');
+  unlockGate = document.getElementById('unlock-gate');
+  pinGate = document.getElementById('pin-gate');
   
-  if (!toggleCheckbox || !statusText) {
+  if (!toggleCheckbox || !statusText || !newsToggleCheckbox || !newsStatusText || !unlockGate || !pinGate) {
     console.error('Could not find required DOM elements');
     return;
   }
   
   // Set up event listeners
   toggleCheckbox.addEventListener('change', handleFeedToggle);
-  // newsToggleCheckbox.addEventListener('change', handleNewsToggle); // Commented out for future update
+  newsToggleCheckbox.addEventListener('change', handleNewsToggle);
+  
+  if (snoozeControls && snoozeActive) {
+    snoozeControls.querySelectorAll('button[data-minutes]').forEach(button => {
+      button.textContent = formatMinutes(Number(button.dataset.minutes));
+      button.addEventListener('click', () => handleSnooze(Number(button.dataset.minutes)));
+    });
+    document.getElementById('snooze-end').addEventListener('click', handleSnoozeEnd);
+  }
+  
+  const optionsLink = document.getElementById('open-options');
+  if (optionsLink) {
+    optionsLink.addEventListener('click', handleOpenOptions);
+  }
+  
+  applyPopupTheme();
+  updateManagedUI();
   
   // Get current state
   getCurrentState();
 }
 
+// Apply an explicit theme setting; auto leaves the popup to prefers-color-scheme
+function applyPopupTheme() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const theme = resolveSettings(result).theme;
+    if (theme === 'auto') {
+      delete document.documentElement.dataset.theme;
+    } else {
+      document.documentElement.dataset.theme = theme;
+    }
+  });
+}
+
+// Disable the switches an administrator has fixed, and say so
+function updateManagedUI() {
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const locked = getLockedSettingKeys(result);
+    
+    [
+      [toggleCheckbox, 'feedBlockerEnabled', 'feed-managed-note'],
+      [newsToggleCheckbox, 'newsBlockerEnabled', 'news-managed-note']
+    ].forEach(([checkbox, key, noteId]) => {
+      checkbox.disabled = locked.includes(key);
+      document.getElementById(noteId).hidden = !checkbox.disabled;
+    });
+  });
+}
+
 // Handle feed toggle changes
 function handleFeedToggle() {
   const isEnabled = toggleCheckbox.checked;
   
+  // Turning the blocker off has to get past the PIN and the intentional unlock gate first
+  if (!isEnabled) {
+    toggleCheckbox.checked = true;
+    requestPin(function() {
+      requestUnlock('disable', unlockGate, function() {
+        toggleCheckbox.checked = false;
+        saveFeedBlockerState(false);
+        recordUsage('disables', 1, updateStatsUI);
+      });
+    });
+    return;
+  }
+  
+  saveFeedBlockerState(true);
+}
+
+// Store the feed toggle and refresh the popup
+function saveFeedBlockerState(isEnabled) {
   // Update UI immediately for better UX
   updateStatusText(isEnabled);
   
-  // Save state to storage first to ensure persistence
-  safeStorageSet({ feedBlockerEnabled: isEnabled });
+  // Every open LinkedIn tab picks the change up through storage.onChanged
+  safeStorageSet({ feedBlockerEnabled: isEnabled }, function() {
+    updateScheduleText();
+    updateSnoozeUI();
+  });
+}
+
+// Lift the block for a number of minutes; the background alarm and content script relock it
+function handleSnooze(minutes) {
+  requestPin(function() {
+    requestUnlock('snooze', unlockGate, function() {
+      safeStorageSet({ snoozeUntil: Date.now() + minutes * 60 * 1000 }, updateSnoozeUI);
+      recordUsage('snoozes', 1, updateStatsUI);
+    });
+  });
+}
+
+// Ask for the PIN before a change, if one is set; once entered it holds until the popup closes
+function requestPin(onGranted) {
+  if (pinUnlocked) {
+    onGranted();
+    return;
+  }
   
-  // Send message to content script if on LinkedIn
-  safeTabsQuery(function(tabs) {
-    if (tabs.length === 0) return;
-    
-    if (isLinkedInPage(tabs[0])) {
-      safeSendMessage(
-        tabs[0].id, 
-        { action: 'toggleFeedBlocker', enabled: isEnabled }
-      );
+  safeStorageGet(PIN_STORAGE_KEYS, function(result) {
+    if (!isPinLockSet(result.pinLock)) {
+      onGranted();
+      return;
     }
+    
+    pinGate.hidden = false;
+    renderPinPrompt(pinGate, {
+      onUnlock: function() {
+        pinUnlocked = true;
+        pinGate.hidden = true;
+        onGranted();
+      },
+      onCancel: function() {
+        pinGate.hidden = true;
+      },
+      // Every setting is back to its default, so start the popup over
+      onReset: function() {
+        window.location.reload();
+      }
+    });
   });
 }
 
-/* 
-// Handle news toggle changes - Commented out for future update
+// End a running snooze early
+function handleSnoozeEnd() {
+  safeStorageSet({ snoozeUntil: 0 }, updateSnoozeUI);
+}
+
+// Handle news toggle changes
 function handleNewsToggle() {
   const isEnabled = newsToggleCheckbox.checked;
   
-  // Update UI immediately
-  updateNewsStatusText(isEnabled);
+  // Keep the old state until the PIN, if any, is entered
+  newsToggleCheckbox.checked = !isEnabled;
   
-  // Save state to storage
-  safeStorageSet({ newsBlockerEnabled: isEnabled });
-  
-  // Send message to content script if on LinkedIn
-  safeTabsQuery(function(tabs) {
-    if (tabs.length === 0) return;
+  requestPin(function() {
+    newsToggleCheckbox.checked = isEnabled;
+    updateNewsStatusText(isEnabled);
     
-    if (isLinkedInPage(tabs[0])) {
-      safeSendMessage(
-        tabs[0].id, 
-        { action: 'toggleNewsBlocker', enabled: isEnabled }
-      );
-    }
+    // Every open LinkedIn tab picks the change up through storage.onChanged
+    safeStorageSet({ newsBlockerEnabled: isEnabled });
   });
 }
-*/
+
+// Open the full options page
+function handleOpenOptions(event) {
+  event.preventDefault();
+  
+  try {
+    chrome.runtime.openOptionsPage();
+  } catch (error) {
+    console.error('Error opening options page:', error);
+  }
+}
 
 // Get current state from content script or storage
 function getCurrentState() {
+  updateScheduleText();
+  updateSnoozeUI();
+  updateStatsUI();
+  updateFocusUI();
+  
   safeTabsQuery(function(tabs) {
     if (tabs.length === 0) {
       fallbackToStorageState();
@@ -187,28 +281,27 @@ function getCurrentState() {
           fallbackToStorageState();
         }
         
-        /* Commented out for future update
         if (response.newsEnabled !== undefined) {
           newsToggleCheckbox.checked = response.newsEnabled;
           updateNewsStatusText(response.newsEnabled);
         } else {
           fallbackToNewsStorageState();
         }
-        */
+        
+        updatePromotedText(response);
       });
     } else {
       // Not on LinkedIn, use storage
       fallbackToStorageState();
-      // fallbackToNewsStorageState(); // Commented out for future update
+      fallbackToNewsStorageState();
     }
   });
 }
 
 // Fallback to storage for feed state
 function fallbackToStorageState() {
-  safeStorageGet(['feedBlockerEnabled'], function(result) {
-    // Default to enabled if not set
-    const isEnabled = result.feedBlockerEnabled === undefined ? true : result.feedBlockerEnabled;
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const isEnabled = resolveSettings(result).feedBlockerEnabled;
     
     if (toggleCheckbox) {
       toggleCheckbox.checked = isEnabled;
@@ -217,12 +310,10 @@ function fallbackToStorageState() {
   });
 }
 
-/*
-// Fallback to storage for news state - Commented out for future update
+// Fallback to storage for news state
 function fallbackToNewsStorageState() {
-  safeStorageGet(['newsBlockerEnabled'], function(result) {
-    // Default to enabled if not set
-    const isEnabled = result.newsBlockerEnabled === undefined ? true : result.newsBlockerEnabled;
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const isEnabled = resolveSettings(result).newsBlockerEnabled;
     
     if (newsToggleCheckbox) {
       newsToggleCheckbox.checked = isEnabled;
@@ -230,25 +321,140 @@ function fallbackToNewsStorageState() {
     }
   });
 }
-*/
 
 // Update feed status UI
 function updateStatusText(isEnabled) {
   if (!statusText) return;
   
-  statusText.textContent = isEnabled ? 'Feed blocker is enabled' : 'Feed blocker is disabled';
+  statusText.textContent = getMessage(isEnabled ? 'popupFeedEnabled' : 'popupFeedDisabled');
   statusText.className = 'status ' + (isEnabled ? 'enabled' : 'disabled');
 }
 
-/*
-// Update news status UI - Commented out for future update
+// Show how many promoted and suggested items were removed from the current LinkedIn page
+function updatePromotedText(response) {
+  if (!promotedText) return;
+  
+  const count = response.promotedRemoved || 0;
+  if (response.feedMode !== 'promoted' && count === 0) {
+    promotedText.textContent = '';
+    return;
+  }
+  
+  promotedText.textContent = count === 1
+    ? getMessage('popupPromotedRemovedOne')
+    : getMessage('popupPromotedRemoved', count);
+}
+
+// Show when the schedule next blocks or unblocks the feed
+function updateScheduleText() {
+  if (!scheduleText) return;
+  
+  safeStorageGet(SETTING_KEYS, function(result) {
+    const settings = resolveSettings(result);
+    const now = new Date();
+    const next = settings.scheduleEnabled ? getNextScheduleChange(settings.scheduleWindows, now) : null;
+    
+    if (!settings.feedBlockerEnabled || !next) {
+      scheduleText.textContent = '';
+      return;
+    }
+    
+    const time = formatScheduleTime(next, now);
+    scheduleText.textContent = isScheduleActive(settings, now)
+      ? getMessage('popupBlockedUntil', time)
+      : getMessage('popupOutsideSchedule', time);
+  });
+}
+
+// Offer snooze buttons while the feed is blocked, or the remaining time while snoozed
+function updateSnoozeUI() {
+  if (!snoozeControls || !snoozeActive) return;
+  
+  safeStorageGet(SETTING_KEYS.concat('snoozeUntil'), function(result) {
+    const settings = resolveSettings(result);
+    const snoozeUntil = getEffectiveSnoozeUntil(result);
+    const now = new Date();
+    const snoozing = isSnoozed(snoozeUntil, now) && isFeedBlockingActive(settings, now);
+    // A feed blocker fixed by the managed policy cannot be snoozed either
+    const snoozeLocked = getLockedSettingKeys(result).includes('feedBlockerEnabled');
+    
+    snoozeControls.hidden = snoozing || snoozeLocked || !isFeedBlockingActive(settings, now, snoozeUntil);
+    snoozeActive.hidden = !snoozing;
+    
+    if (snoozeIntervalId) {
+      clearInterval(snoozeIntervalId);
+      snoozeIntervalId = null;
+    }
+    
+    if (snoozing) {
+      const renderRemaining = () => {
+        const remaining = snoozeUntil - Date.now();
+        if (remaining <= 0) {
+          updateSnoozeUI();
+          return;
+        }
+        snoozeText.textContent = getMessage('feedUnblockedFor', formatRemaining(remaining));
+      };
+      
+      renderRemaining();
+      snoozeIntervalId = setInterval(renderRemaining, 1000);
+    }
+  });
+}
+
+// Show today's and this week's usage statistics
+function updateStatsUI() {
+  const statsTable = document.getElementById('stats');
+  if (!statsTable) return;
+  
+  safeStorageGet(SETTING_KEYS.concat('usageStats'), function(result) {
+    const settings = resolveSettings(result);
+    statsTable.hidden = !settings.statsEnabled;
+    if (!settings.statsEnabled) return;
+    
+    const now = new Date();
+    [['today', 1], ['week', 7]].forEach(([period, days]) => {
+      const totals = summarizeUsage(result.usageStats, now, days);
+      const cells = {
+        blocked: String(totals.blockedViews),
+        saved: formatMinutes(estimateMinutesSaved(totals, settings)),
+        time: formatMinutes(totals.linkedinSeconds / 60),
+        unlocks: String(totals.disables + totals.snoozes)
+      };
+      
+      Object.keys(cells).forEach(name => {
+        const cell = document.getElementById(`stats-${period}-${name}`);
+        if (cell) cell.textContent = cells[name];
+      });
+    });
+  });
+}
+
+// Show today's intention and checklist, saving every edit back to storage
+function updateFocusUI() {
+  const focusSection = document.getElementById('focus-section');
+  const focusWidget = document.getElementById('focus-widget');
+  if (!focusSection || !focusWidget) return;
+  
+  safeStorageGet(SETTING_KEYS.concat('dailyFocus'), function(result) {
+    const settings = resolveSettings(result);
+    focusSection.hidden = !settings.focusWidgetEnabled;
+    if (!settings.focusWidgetEnabled) return;
+    
+    const focus = resolveDailyFocus(result.dailyFocus, settings, new Date());
+    renderFocusWidget(focusWidget, focus, function(updated) {
+      safeStorageSet({ dailyFocus: updated }, updateFocusUI);
+    });
+  });
+}
+
+// Update news status UI
 function updateNewsStatusText(isEnabled) {
   if (!newsStatusText) return;
   
-  newsStatusText.textContent = isEnabled ? 'News blocker is enabled' : 'News blocker is disabled';
+  newsStatusText.textContent = getMessage(isEnabled ? 'popupNewsEnabled' : 'popupNewsDisabled');
   newsStatusText.className = 'status ' + (isEnabled ? 'enabled' : 'disabled');
 }
-*/
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', initializePopup);
@@ -0,0 +1,249 @@
+// Quote rotation and quote packs for the replacement card.
+// Needs getMessage from i18n.js.
+
+// Days since the epoch for the local calendar day of a date
+function getDayNumber(date) {
+  return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000);
+}
+
+// Pick the quote to show: at random, the next one in order, or the same one all day
+function pickQuote(quotes, rotation, sequenceIndex, date) {
+  if (!quotes || quotes.length === 0) return null;
+
+  switch (rotation) {
+    case 'sequential':
+      return quotes[sequenceIndex % quotes.length];
+    case 'daily':
+      return quotes[getDayNumber(date) % quotes.length];
+    default:
+      return quotes[Math.floor(Math.random() * quotes.length)];
+  }
+}
+
+// Quote packs: shared files of quotes imported from JSON or CSV, stored in
+// chrome.storage.local under quotePacks as [{ id, name, enabled, quotes: [{ text, author, tags }] }].
+// The quotes setting is the user's own list; it is drawn from together with every enabled pack.
+
+const QUOTE_PACK_LIMIT = 20;
+const QUOTES_PER_PACK_LIMIT = 500;
+const QUOTE_TEXT_MAX_LENGTH = 300;
+const QUOTE_AUTHOR_MAX_LENGTH = 100;
+const QUOTE_TAG_LIMIT = 10;
+const QUOTE_TAG_MAX_LENGTH = 30;
+
+// Turn a tag list or a "focus; work" string into clean lowercase tags
+function normalizeQuoteTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;|]/);
+  return list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean)
+    .filter((tag, index, all) => all.indexOf(tag) === index);
+}
+
+// Validate one imported quote, returning a list of problems
+function validateQuote(quote, path) {
+  const errors = [];
+
+  if (typeof quote.text !== 'string' || quote.text.trim() === '') {
+    errors.push(getMessage('validationNonEmptyString', `${path}.text`));
+  } else if (quote.text.length > QUOTE_TEXT_MAX_LENGTH) {
+    errors.push(getMessage('validationTooLong', [`${path}.text`, QUOTE_TEXT_MAX_LENGTH]));
+  }
+
+  if (quote.author !== undefined && (typeof quote.author !== 'string' || quote.author.length > QUOTE_AUTHOR_MAX_LENGTH)) {
+    errors.push(getMessage('validationStringMax', [`${path}.author`, QUOTE_AUTHOR_MAX_LENGTH]));
+  }
+
+  if (!Array.isArray(quote.tags) || quote.tags.length > QUOTE_TAG_LIMIT ||
+      !quote.tags.every(tag => typeof tag === 'string' && tag !== '' && tag.length <= QUOTE_TAG_MAX_LENGTH)) {
+    errors.push(getMessage('validationQuoteTags', [`${path}.tags`, QUOTE_TAG_LIMIT, QUOTE_TAG_MAX_LENGTH]));
+  }
+
+  return errors;
+}
+
+// Validate a quote pack, returning a list of problems
+function validateQuotePack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return [getMessage('validationPackNotObject')];
+  }
+
+  const errors = [];
+
+  if (typeof pack.name !== 'string' || pack.name.trim() === '' || pack.name.length > 80) {
+    errors.push(getMessage('validationNonEmptyStringMax', ['name', 80]));
+  }
+
+  if (!Array.isArray(pack.quotes) || pack.quotes.length === 0) {
+    errors.push(getMessage('validationNonEmptyList', 'quotes'));
+    return errors;
+  }
+
+  if (pack.quotes.length > QUOTES_PER_PACK_LIMIT) {
+    errors.push(getMessage('validationQuotePackTooLarge', QUOTES_PER_PACK_LIMIT));
+  }
+
+  pack.quotes.forEach((quote, index) => {
+    errors.push(...validateQuote(quote, `quotes[${index}]`));
+  });
+
+  return errors;
+}
+
+// Bring one imported quote (a string or an object) into the stored shape
+function normalizeQuote(entry) {
+  if (typeof entry === 'string') {
+    return { text: entry.trim(), tags: [] };
+  }
+
+  const quote = {
+    text: typeof (entry && entry.text) === 'string' ? entry.text.trim() : entry && entry.text,
+    tags: normalizeQuoteTags(entry && entry.tags)
+  };
+  if (entry && typeof entry.author === 'string' && entry.author.trim()) {
+    quote.author = entry.author.trim();
+  }
+  return quote;
+}
+
+// Parse a JSON pack: { name, quotes: [...] } or a bare list of quotes
+function parseQuotePackJson(text, fallbackName) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { pack: null, errors: [getMessage('validationInvalidJson', e.message)] };
+  }
+
+  const source = Array.isArray(data) ? { quotes: data } : data;
+  if (!source || typeof source !== 'object' || !Array.isArray(source.quotes)) {
+    return { pack: null, errors: [getMessage('validationQuotePackShape')] };
+  }
+
+  const pack = {
+    name: typeof source.name === 'string' && source.name.trim() ? source.name.trim() : fallbackName,
+    quotes: source.quotes.map(normalizeQuote)
+  };
+  const errors = validateQuotePack(pack);
+  return { pack: errors.length === 0 ? pack : null, errors: errors };
+}
+
+// Split CSV text into rows of fields, following RFC 4180 quoting
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Parse a CSV pack with a text (or quote) column and optional author and tags columns
+function parseQuotePackCsv(text, fallbackName) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return { pack: null, errors: [getMessage('validationQuotePackNoRows')] };
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  let textColumn = header.findIndex(name => name === 'text' || name === 'quote');
+  const hasHeader = textColumn !== -1;
+  if (!hasHeader) textColumn = 0;
+
+  const authorColumn = hasHeader ? header.indexOf('author') : -1;
+  const tagsColumn = hasHeader ? header.indexOf('tags') : -1;
+
+  const pack = {
+    name: fallbackName,
+    quotes: rows.slice(hasHeader ? 1 : 0).map(fields => normalizeQuote({
+      text: fields[textColumn] || '',
+      author: authorColumn !== -1 ? fields[authorColumn] : undefined,
+      tags: tagsColumn !== -1 ? fields[tagsColumn] : []
+    }))
+  };
+  const errors = validateQuotePack(pack);
+  return { pack: errors.length === 0 ? pack : null, errors: errors };
+}
+
+// Parse a pack file, choosing the format from its name or its first character
+function parseQuotePackFile(fileName, text) {
+  const name = fileName.replace(/\.(json|csv)$/i, '') || getMessage('defaultQuotePackName');
+  const looksLikeJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  return looksLikeJson ? parseQuotePackJson(text, name) : parseQuotePackCsv(text, name);
+}
+
+// Serialize a pack as JSON
+function exportQuotePackJson(pack) {
+  return JSON.stringify({ name: pack.name, quotes: pack.quotes }, null, 2);
+}
+
+// Serialize a pack as CSV with text, author and tags columns
+function exportQuotePackCsv(pack) {
+  const escape = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  const lines = ['text,author,tags'].concat(pack.quotes.map(quote =>
+    [quote.text, quote.author || '', (quote.tags || []).join(';')].map(escape).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Every tag used by a set of packs, sorted
+function collectQuoteTags(packs) {
+  const tags = [];
+  (packs || []).forEach(pack => {
+    pack.quotes.forEach(quote => {
+      quote.tags.forEach(tag => {
+        if (!tags.includes(tag)) tags.push(tag);
+      });
+    });
+  });
+  return tags.sort();
+}
+
+// The quotes to draw from: the user's own list plus every enabled pack, narrowed by the tag filter
+function collectActiveQuotes(settings, packs) {
+  let quotes = settings.quotes.map(text => ({ text: text, tags: [] }));
+
+  (Array.isArray(packs) ? packs : []).forEach(pack => {
+    if (pack && pack.enabled && Array.isArray(pack.quotes)) {
+      quotes = quotes.concat(pack.quotes);
+    }
+  });
+
+  if (settings.quoteTagFilter.length > 0) {
+    quotes = quotes.filter(quote => (quote.tags || []).some(tag => settings.quoteTagFilter.includes(tag)));
+  }
+
+  return quotes;
+}
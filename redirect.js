@@ -0,0 +1,88 @@
+// Feed redirect: in redirect mode, loading the home feed sends the user to another
+// LinkedIn page. Hard loads are redirected by a declarativeNetRequest rule that
+// background.js keeps in step with the blocker state; in-app navigations to the feed
+// are caught by content.js. Adding ?feedless=continue to the feed URL skips the
+// redirect for that one visit, but only while turning the blocker off needs neither a
+// PIN nor the intentional unlock gate; each visit let through counts as turning it off.
+// Needs isUnlockGated from unlock.js and isPinLockSet from pin.js.
+
+// Fixed targets; 'custom' uses the redirectCustomUrl setting
+const REDIRECT_TARGETS = {
+  messaging: 'https://www.linkedin.com/messaging/',
+  jobs: 'https://www.linkedin.com/jobs/',
+  profile: 'https://www.linkedin.com/in/me/',
+  notifications: 'https://www.linkedin.com/notifications/'
+};
+
+// Appended to the target so the landing page knows it was reached by a redirect
+const REDIRECT_MARKER = 'feedless-redirected';
+
+// Query parameter (?feedless=continue) that lets one visit through to the feed
+const FEED_ESCAPE_PARAM = 'feedless';
+const FEED_ESCAPE_VALUE = 'continue';
+const FEED_ESCAPE_URL = `https://www.linkedin.com/feed/?${FEED_ESCAPE_PARAM}=${FEED_ESCAPE_VALUE}`;
+
+// Rule ids owned by the redirect; no other dynamic rules exist
+const REDIRECT_RULE_ID = 1;
+const ESCAPE_RULE_ID = 2;
+
+// Where the feed should send the user
+function getRedirectUrl(settings) {
+  if (settings.redirectTarget === 'custom' && settings.redirectCustomUrl) {
+    return settings.redirectCustomUrl;
+  }
+  return REDIRECT_TARGETS[settings.redirectTarget] || REDIRECT_TARGETS.messaging;
+}
+
+// Whether opening the feed right now should redirect, including schedule and snooze
+function isRedirectActive(settings, date, snoozeUntil = 0) {
+  return settings.feedMode === 'redirect' && isFeedBlockingActive(settings, date, snoozeUntil);
+}
+
+// Whether a URL asks to be let through to the feed this once
+function isFeedEscapeUrl(url) {
+  try {
+    return new URL(url).searchParams.get(FEED_ESCAPE_PARAM) === FEED_ESCAPE_VALUE;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Whether ?feedless=continue may let a visit through; otherwise it would skip the PIN and the gate
+function isFeedEscapeAllowed(settings, pinLock) {
+  return !isPinLockSet(pinLock) && !isUnlockGated(settings);
+}
+
+// Dynamic rules for the current state: a redirect for the feed and, when allowed, an exception for the escape hatch
+function buildRedirectRules(settings, date, snoozeUntil = 0, escapeAllowed = false) {
+  if (!isRedirectActive(settings, date, snoozeUntil)) return [];
+
+  const target = new URL(getRedirectUrl(settings));
+  target.hash = REDIRECT_MARKER;
+
+  const rules = [
+    {
+      id: REDIRECT_RULE_ID,
+      priority: 1,
+      action: { type: 'redirect', redirect: { url: target.href } },
+      condition: {
+        regexFilter: '^https://(www\\.)?linkedin\\.com/(feed/?)?([?#].*)?$',
+        resourceTypes: ['main_frame']
+      }
+    }
+  ];
+
+  if (escapeAllowed) {
+    rules.push({
+      id: ESCAPE_RULE_ID,
+      priority: 2,
+      action: { type: 'allow' },
+      condition: {
+        regexFilter: `^https://(www\\.)?linkedin\\.com/(feed/?)?\\?(.*&)?${FEED_ESCAPE_PARAM}=${FEED_ESCAPE_VALUE}(&.*)?$`,
+        resourceTypes: ['main_frame']
+      }
+    });
+  }
+
+  return rules;
+}
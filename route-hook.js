@@ -0,0 +1,15 @@
+// Runs in the page's own JavaScript world, where LinkedIn calls history.pushState.
+// Content scripts cannot see those calls, so announce them with a window event that
+// router.js listens for.
+(function() {
+  const notify = () => window.dispatchEvent(new Event('feedless:locationchange'));
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function() {
+      const result = original.apply(this, arguments);
+      notify();
+      return result;
+    };
+  });
+})();
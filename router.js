@@ -0,0 +1,62 @@
+// Route awareness for LinkedIn's single-page navigation. LinkedIn switches between
+// /feed, /mynetwork, /jobs and so on without reloading, so content.js asks the router
+// which route it is on and re-applies its rules whenever the route changes.
+
+// Routes matched against location.pathname, first match wins
+const ROUTES = [
+  { name: 'feed', pattern: /^\/(feed\/?)?$/ },
+  { name: 'mynetwork', pattern: /^\/mynetwork(\/|$)/ },
+  { name: 'notifications', pattern: /^\/notifications(\/|$)/ },
+  { name: 'messaging', pattern: /^\/messaging(\/|$)/ },
+  { name: 'jobs', pattern: /^\/jobs(\/|$)/ },
+  { name: 'profile', pattern: /^\/in\/[^/]+/ },
+  { name: 'company', pattern: /^\/company\/[^/]+/ },
+  { name: 'search', pattern: /^\/search(\/|$)/ }
+];
+
+// Surfaces that only apply on some routes; every other surface applies everywhere
+const ROUTE_RULES = {
+  feed: ['feed'],
+  pymk: ['mynetwork']
+};
+
+let currentRoute = getRouteName(location.pathname);
+const routeListeners = [];
+
+// Name of the route a path belongs to, or 'other'
+function getRouteName(pathname) {
+  const route = ROUTES.find(entry => entry.pattern.test(pathname));
+  return route ? route.name : 'other';
+}
+
+// Whether a surface should be active on a route
+function isSurfaceOnRoute(surfaceName, routeName = currentRoute) {
+  const routes = ROUTE_RULES[surfaceName];
+  return !routes || routes.includes(routeName);
+}
+
+// Call listeners with (route, previousRoute) if the path now belongs to another route
+function checkRouteChange() {
+  const route = getRouteName(location.pathname);
+  if (route === currentRoute) return;
+
+  const previousRoute = currentRoute;
+  currentRoute = route;
+
+  routeListeners.forEach(listener => {
+    try {
+      listener(route, previousRoute);
+    } catch (e) {
+      console.error('Error in route listener:', e);
+    }
+  });
+}
+
+// Start following navigations; route-hook.js reports pushState and replaceState
+function onRouteChange(listener) {
+  if (routeListeners.length === 0) {
+    window.addEventListener('feedless:locationchange', checkRouteChange);
+    window.addEventListener('popstate', checkRouteChange);
+  }
+  routeListeners.push(listener);
+}
@@ -0,0 +1,147 @@
+// Schedule engine: decides whether the feed should be blocked at a given moment,
+// taking the user's switch, the weekly schedule and any running snooze into account.
+// Shared by background.js (which sets an alarm for the next boundary), content.js
+// and the popup. A window looks like:
+//   { name: 'Work hours', days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }
+// where days uses Date#getDay numbering (0 = Sunday). A window whose end is
+// earlier than its start runs overnight into the next day.
+
+// Short weekday name in the browser's language, e.g. 'Mon' or 'Mo.'; 7 January 2024 was a Sunday
+function getWeekdayName(day) {
+  return new Date(2024, 0, 7 + day).toLocaleDateString(undefined, { weekday: 'short' });
+}
+
+// How far ahead to look for the next boundary; one week always contains one
+const SCHEDULE_LOOKAHEAD_DAYS = 8;
+
+// Parse 'HH:MM' into minutes after midnight, or null if malformed
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' ? value.match(/^(\d{2}):(\d{2})$/) : null;
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+// Check the shape of a single schedule window
+function isValidScheduleWindow(scheduleWindow) {
+  if (!scheduleWindow || typeof scheduleWindow !== 'object') return false;
+  if (typeof scheduleWindow.name !== 'string' || scheduleWindow.name.length > 50) return false;
+  if (!Array.isArray(scheduleWindow.days) || scheduleWindow.days.length === 0) return false;
+  if (!scheduleWindow.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) return false;
+
+  const start = parseTimeOfDay(scheduleWindow.start);
+  const end = parseTimeOfDay(scheduleWindow.end);
+  return start !== null && end !== null && start !== end;
+}
+
+// Expand windows into concrete [start, end) date ranges around a moment
+function getScheduleIntervals(windows, date) {
+  const intervals = [];
+
+  // Start a day early so overnight windows from yesterday are included
+  for (let offset = -1; offset <= SCHEDULE_LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+
+    windows.forEach(scheduleWindow => {
+      if (!isValidScheduleWindow(scheduleWindow) || !scheduleWindow.days.includes(day.getDay())) return;
+
+      const start = parseTimeOfDay(scheduleWindow.start);
+      const end = parseTimeOfDay(scheduleWindow.end);
+      const endDayOffset = end < start ? 1 : 0;
+
+      intervals.push({
+        start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(start / 60), start % 60),
+        end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + endDayOffset, Math.floor(end / 60), end % 60)
+      });
+    });
+  }
+
+  return intervals;
+}
+
+// Check whether a moment falls inside any interval
+function isInsideIntervals(intervals, date) {
+  const time = date.getTime();
+  return intervals.some(interval => interval.start.getTime() <= time && time < interval.end.getTime());
+}
+
+// Check whether a moment falls inside any schedule window
+function isWithinSchedule(windows, date) {
+  return isInsideIntervals(getScheduleIntervals(windows, date), date);
+}
+
+// Find the next moment the schedule flips between blocked and open, or null
+function getNextScheduleChange(windows, date) {
+  const intervals = getScheduleIntervals(windows, date);
+  const current = isInsideIntervals(intervals, date);
+  const now = date.getTime();
+
+  // Adjacent windows share a boundary that does not change anything, so skip those
+  const boundaries = [];
+  intervals.forEach(interval => {
+    boundaries.push(interval.start.getTime(), interval.end.getTime());
+  });
+
+  const next = boundaries
+    .filter(time => time > now)
+    .sort((a, b) => a - b)
+    .find(time => isInsideIntervals(intervals, new Date(time)) !== current);
+
+  return next === undefined ? null : new Date(next);
+}
+
+// Whether changing the schedule from `before` to `after` opens the feed at some moment of the
+// coming week that `before` keeps blocked, such as ending today's window early or dropping a day
+function scheduleOpensFeed(before, after, date) {
+  const start = date.getTime();
+  const end = start + 7 * 24 * 60 * 60 * 1000;
+  const moments = [start];
+
+  const blockedAt = (settings) => {
+    if (!settings.scheduleEnabled) return () => true;
+
+    const intervals = getScheduleIntervals(settings.scheduleWindows, date);
+    intervals.forEach(interval => {
+      moments.push(interval.start.getTime(), interval.end.getTime());
+    });
+    return (moment) => isInsideIntervals(intervals, moment);
+  };
+  const wasBlocked = blockedAt(before);
+  const isBlocked = blockedAt(after);
+
+  // Both schedules only change at their boundaries, so checking those moments covers the week
+  return moments
+    .filter(time => time >= start && time < end)
+    .some(time => wasBlocked(new Date(time)) && !isBlocked(new Date(time)));
+}
+
+// Whether the schedule currently allows the feed blocker to be active
+function isScheduleActive(settings, date) {
+  return !settings.scheduleEnabled || isWithinSchedule(settings.scheduleWindows, date);
+}
+
+// Whether a snooze (a timestamp stored as snoozeUntil) is still running
+function isSnoozed(snoozeUntil, date) {
+  return typeof snoozeUntil === 'number' && snoozeUntil > date.getTime();
+}
+
+// The effective feed blocking state: the user's switch combined with the schedule and any snooze
+function isFeedBlockingActive(settings, date, snoozeUntil = 0) {
+  return settings.feedBlockerEnabled && isScheduleActive(settings, date) && !isSnoozed(snoozeUntil, date);
+}
+
+// Format a remaining duration as 'm:ss'
+function formatRemaining(milliseconds) {
+  const totalSeconds = Math.max(0, Math.ceil(milliseconds / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+// Format a boundary as '18:00', or 'Mon 09:00' when it is not today
+function formatScheduleTime(date, now) {
+  const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return date.toDateString() === now.toDateString() ? time : `${getWeekdayName(date.getDay())} ${time}`;
+}
@@ -0,0 +1,522 @@
+// Selector registry: every LinkedIn surface feedless hides is described here once.
+// content.js looks elements up through it and the hiding stylesheet is generated
+// from it, so a LinkedIn markup change only needs an update in this file.
+//
+// Each surface lists fallback strategies, tried in order:
+//   { type: 'css', selector }                    plain CSS selector
+//   { type: 'viewName', value, within }          matches [data-view-name="value"]
+//   { type: 'aria', label, within }              matches [aria-label="label"]
+//   { type: 'text', match, candidates, container, within }
+//                                                finds elements whose text equals one of
+//                                                `match` and hides their closest `container`
+//   { type: 'text', labels, ... }                the same, with the locale-aware texts of
+//                                                `labels` from text-match.js instead of `match`
+// A text strategy's `exclude` names containers that hold more than the match, such as the
+// profile card; when the closest container is one of them only the matched element is hidden.
+// Text strategies marked `leafOnly` skip candidates that have child elements, so a broad
+// candidate list never reads the text of a whole post.
+// Strategies marked `cssOnly` go into the stylesheet but are not hidden element by element.
+// Strategies marked `fallback` only run when the other strategies found nothing.
+//
+// A user-imported selector pack (see validateSelectorPack) can extend or override
+// the strategies of every surface in PACK_SURFACES at runtime without a new release.
+// Its validation messages come from getMessage in i18n.js.
+const SELECTOR_REGISTRY = {
+  version: '2025.1',
+  surfaces: {
+    feed: {
+      bodyClass: 'feed-blocker-active',
+      disabledClass: 'feed-blocker-disabled',
+      hiddenAttribute: 'data-hidden-by-focus-mode',
+      strategies: [
+        { type: 'css', selector: '.feed-container' },
+        { type: 'css', selector: '.core-rail' },
+        { type: 'css', selector: 'div[data-test-id="feed-container"]' },
+        { type: 'css', selector: '.scaffold-finite-scroll' },
+        { type: 'css', selector: '.scaffold-finite-scroll__content' },
+        { type: 'css', selector: 'div[role="main"] div[data-test-id="main-feed"]' },
+        { type: 'css', selector: '.feed-follows-module', cssOnly: true },
+        { type: 'css', selector: '.feed-shared-update-v2', cssOnly: true },
+        { type: 'css', selector: '.feed-shared-update-v2__description-wrapper', cssOnly: true },
+        { type: 'css', selector: '.update-components-actor', cssOnly: true },
+        { type: 'css', selector: '.feed-identity-module', cssOnly: true }
+      ]
+    },
+    news: {
+      bodyClass: 'news-blocker-active',
+      hiddenAttribute: 'data-hidden-by-news-blocker',
+      strategies: [
+        { type: 'css', selector: '.news-module' },
+        { type: 'css', selector: '.news-module-v2' },
+        { type: 'css', selector: 'div[data-test-id="news-module"]' },
+        { type: 'css', selector: '.scaffold-layout__aside .news-module-container' },
+        { type: 'css', selector: 'aside section[data-test-id="today-news-module"]' },
+        { type: 'css', selector: '.news-recirc-module' },
+        { type: 'css', selector: '.scaffold-layout__aside section div[data-control-name^="news"]' },
+        { type: 'viewName', value: 'news-module', within: '.scaffold-layout__aside' },
+        { type: 'aria', label: 'LinkedIn News', within: 'aside, .scaffold-layout__aside' },
+        {
+          type: 'text',
+          labels: 'news',
+          candidates: 'h2, h3, span',
+          container: 'section, .artdeco-card',
+          within: 'aside, .scaffold-layout__aside',
+          fallback: true
+        }
+      ]
+    },
+    premiumUpsell: {
+      bodyClass: 'upsell-blocker-active',
+      hiddenAttribute: 'data-hidden-by-upsell-blocker',
+      strategies: [
+        { type: 'css', selector: '.premium-upsell-card' },
+        { type: 'css', selector: '.feed-shared-premium-upsell' },
+        { type: 'css', selector: '.scaffold-layout__aside .premium-custom-cta' },
+        { type: 'viewName', value: 'premium-upsell-card' },
+        {
+          type: 'text',
+          labels: 'premiumUpsell',
+          candidates: 'h2, h3, a, button',
+          container: 'section, .artdeco-card, li',
+          // The left-rail profile card carries a "Try Premium" line of its own
+          exclude: '.feed-identity-module, .profile-card',
+          within: 'main, aside, .scaffold-layout__aside'
+        }
+      ]
+    },
+    // Social-proof numbers; content, messaging and navigation are left alone
+    metrics: {
+      bodyClass: 'metrics-blocker-active',
+      hiddenAttribute: 'data-hidden-by-metrics-blocker',
+      strategies: [
+        { type: 'css', selector: '.social-details-social-counts' },
+        { type: 'css', selector: '.update-v2-social-activity .social-details-social-counts__item' },
+        { type: 'css', selector: '.content-analytics-entry-point' },
+        { type: 'css', selector: '.feed-identity-widget-item__stat' },
+        { type: 'css', selector: '.pv-top-card--list-bullet' },
+        // Company top-card items also hold the industry and location, so only the counts among them
+        { type: 'text', labels: 'metrics', candidates: '.org-top-card-summary-info-list__info-item', within: 'main' },
+        { type: 'css', selector: '.comments-comment-social-bar__reactions-count', cssOnly: true },
+        { type: 'css', selector: '.social-details-social-counts__reactions-count', cssOnly: true },
+        {
+          type: 'text',
+          labels: 'metrics',
+          candidates: 'span, a',
+          within: 'main, aside, .scaffold-layout__aside',
+          leafOnly: true
+        }
+      ]
+    },
+    // "People you may know" on My Network; router.js limits it to that route
+    pymk: {
+      bodyClass: 'pymk-blocker-active',
+      hiddenAttribute: 'data-hidden-by-pymk-blocker',
+      strategies: [
+        { type: 'css', selector: '.mn-pymk-list' },
+        { type: 'css', selector: 'section.mn-discovery-cohort--pymk' },
+        { type: 'viewName', value: 'pymk-list', within: 'main' },
+        {
+          type: 'text',
+          labels: 'pymk',
+          candidates: 'h2, h3, span',
+          container: 'section',
+          within: 'main',
+          fallback: true
+        }
+      ]
+    },
+    // Unread badges on the Notifications, My Network and Home nav items
+    navBadges: {
+      bodyClass: 'nav-badges-blocker-active',
+      hiddenAttribute: 'data-hidden-by-nav-badges-blocker',
+      strategies: [
+        { type: 'css', selector: '.global-nav__primary-link[href*="/notifications/"] .notification-badge' },
+        { type: 'css', selector: '.global-nav__primary-link[href*="/mynetwork/"] .notification-badge' },
+        { type: 'css', selector: '.global-nav__primary-link[href*="/feed/"] .notification-badge' },
+        { type: 'css', selector: '#global-nav a[href*="/notifications/"] .notification-badge' },
+        { type: 'css', selector: '#global-nav a[href*="/mynetwork/"] .notification-badge' },
+        { type: 'css', selector: '#global-nav a[href*="/feed/"] .notification-badge' }
+      ]
+    },
+    // The messaging badge is switched on its own
+    messagingBadge: {
+      bodyClass: 'messaging-badge-blocker-active',
+      hiddenAttribute: 'data-hidden-by-messaging-badge-blocker',
+      strategies: [
+        { type: 'css', selector: '.global-nav__primary-link[href*="/messaging/"] .notification-badge' },
+        { type: 'css', selector: '#global-nav a[href*="/messaging/"] .notification-badge' },
+        { type: 'css', selector: '.msg-overlay-bubble-header__badge' }
+      ]
+    }
+  },
+  anchors: {
+    // The replacement card is inserted right before this element
+    feedReplacement: 'div[role="main"] div[data-test-id="main-feed"]'
+  },
+  // Parts of a single feed post, used by the per-post filter
+  posts: {
+    post: '.feed-shared-update-v2',
+    text: '.update-components-text, .feed-shared-update-v2__description, .feed-shared-text',
+    actorName: '.update-components-actor__name, .update-components-actor__title',
+    actorLink: 'a.update-components-actor__meta-link, a.update-components-actor__image',
+    header: '.update-components-header, .feed-shared-header',
+    reshare: '.update-components-mini-update-v2, .feed-shared-mini-update-v2, .update-components-reshare',
+    poll: '.update-components-poll, .feed-shared-poll',
+    celebration: '.update-components-celebration, .feed-shared-celebration',
+    // Candidates for the "Promoted" and "Suggested" labels, matched by their text
+    label: 'span'
+  }
+};
+
+// Surfaces currently in effect: the built-in ones merged with the active selector pack
+let activeSurfaces = SELECTOR_REGISTRY.surfaces;
+let activeSelectorPack = null;
+
+// Surfaces a selector pack is allowed to touch
+const PACK_SURFACES = ['feed', 'news', 'premiumUpsell', 'metrics', 'pymk', 'navBadges', 'messagingBadge'];
+const PACK_MODES = ['extend', 'override'];
+const STRATEGY_TYPES = ['css', 'viewName', 'aria', 'text'];
+
+// Every label is a short line, so longer candidate texts are skipped unread by the matcher
+const TEXT_MATCH_MAX_LENGTH = 80;
+
+// Split a selector list on its top-level commas (not those inside :is(...) or [attr="a,b"])
+function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of selector) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// Scope a selector to every ancestor listed in a comma separated `within`
+function scopeSelector(selector, within) {
+  if (!within) return selector;
+
+  const scopes = splitSelectorList(within);
+  return splitSelectorList(selector)
+    .map(part => scopes.map(scope => `${scope} ${part}`).join(', '))
+    .join(', ');
+}
+
+// Convert a strategy into a CSS selector (text strategies have none)
+function strategyToSelector(strategy) {
+  switch (strategy.type) {
+    case 'css':
+      return strategy.selector;
+    case 'viewName':
+      return scopeSelector(`[data-view-name="${strategy.value}"]`, strategy.within);
+    case 'aria':
+      return scopeSelector(`[aria-label="${strategy.label}"]`, strategy.within);
+    default:
+      return null;
+  }
+}
+
+// Get a surface definition from the registry
+function getSurface(surfaceName) {
+  return activeSurfaces[surfaceName] || null;
+}
+
+// Build the combined CSS selector for a surface
+function getSurfaceSelector(surfaceName, includeCssOnly = false) {
+  const surface = getSurface(surfaceName);
+  if (!surface) return '';
+
+  return surface.strategies
+    .filter(strategy => includeCssOnly || !strategy.cssOnly)
+    .map(strategyToSelector)
+    .filter(Boolean)
+    .join(', ');
+}
+
+// Find elements whose text matches a text strategy
+function findTextMatches(strategy, root) {
+  const matches = [];
+
+  const isMatch = strategy.labels
+    ? (text) => matchesLabel(text, strategy.labels)
+    : (text) => strategy.match.includes(text);
+
+  root.querySelectorAll(scopeSelector(strategy.candidates, strategy.within)).forEach(element => {
+    if (strategy.leafOnly && element.childElementCount > 0) return;
+
+    const text = (element.textContent || '').trim();
+    if (text.length > TEXT_MATCH_MAX_LENGTH || !isMatch(text)) return;
+
+    let container = strategy.container ? element.closest(strategy.container) : element;
+    if (!container) return;
+    if (strategy.exclude && container.matches(strategy.exclude)) container = element;
+    if (strategy.within && !container.closest(strategy.within)) return;
+
+    if (!matches.includes(container)) {
+      matches.push(container);
+    }
+  });
+
+  return matches;
+}
+
+// Find every element of a surface, trying each strategy in turn
+function findSurfaceElements(surfaceName, root = document) {
+  const surface = getSurface(surfaceName);
+  if (!surface || !root) return [];
+
+  const found = [];
+  const addAll = (elements) => {
+    elements.forEach(element => {
+      if (!found.includes(element)) found.push(element);
+    });
+  };
+
+  const primary = surface.strategies.filter(strategy => !strategy.cssOnly && !strategy.fallback);
+  const fallbacks = surface.strategies.filter(strategy => !strategy.cssOnly && strategy.fallback);
+
+  const runStrategy = (strategy) => {
+    try {
+      if (strategy.type === 'text') {
+        addAll(findTextMatches(strategy, root));
+      } else {
+        addAll(root.querySelectorAll(strategyToSelector(strategy)));
+      }
+    } catch (e) {
+      console.error(`Error running ${strategy.type} strategy for ${surfaceName}:`, e);
+    }
+  };
+
+  primary.forEach(runStrategy);
+  if (found.length === 0) {
+    fallbacks.forEach(runStrategy);
+  }
+
+  return found;
+}
+
+// Prefix each part of a selector list with a body class
+function prefixSelector(selector, bodyClass) {
+  return splitSelectorList(selector).map(part => `.${bodyClass} ${part}`).join(',\n');
+}
+
+// Generate the hiding stylesheet for every surface in the registry
+function buildRegistryStylesheet() {
+  const packNote = activeSelectorPack
+    ? `, pack ${activeSelectorPack.name} ${activeSelectorPack.version}`.replace(/\*\//g, '')
+    : '';
+  const rules = [`/* Generated from selector registry ${SELECTOR_REGISTRY.version}${packNote} */`];
+
+  Object.keys(activeSurfaces).forEach(surfaceName => {
+    const surface = getSurface(surfaceName);
+    const selector = getSurfaceSelector(surfaceName, true);
+
+    if (selector) {
+      rules.push(`${prefixSelector(selector, surface.bodyClass)} {\n  display: none !important;\n}`);
+    }
+
+    // Elements found by text strategies are tagged and hidden through their attribute
+    rules.push(`.${surface.bodyClass} [${surface.hiddenAttribute}="true"] {\n  display: none !important;\n}`);
+
+    if (surface.disabledClass) {
+      rules.push(`${prefixSelector(getSurfaceSelector(surfaceName), surface.disabledClass)} {\n  display: block !important;\n}`);
+    }
+  });
+
+  return rules.join('\n\n');
+}
+
+// Check that a string parses as a CSS selector
+function isValidSelector(selector) {
+  if (typeof selector !== 'string' || selector.trim() === '') return false;
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Validate a single strategy from a selector pack, returning a list of problems
+function validateStrategy(strategy, path) {
+  const errors = [];
+
+  if (!strategy || typeof strategy !== 'object') {
+    return [getMessage('validationNotObject', path)];
+  }
+
+  if (!STRATEGY_TYPES.includes(strategy.type)) {
+    return [getMessage('validationOneOf', [`${path}.type`, STRATEGY_TYPES.join(', ')])];
+  }
+
+  const requireString = (field) => {
+    if (typeof strategy[field] !== 'string' || strategy[field].trim() === '') {
+      errors.push(getMessage('validationNonEmptyString', `${path}.${field}`));
+      return false;
+    }
+    return true;
+  };
+
+  const requireSelector = (field, optional = false) => {
+    if (optional && strategy[field] === undefined) return;
+    if (!isValidSelector(strategy[field])) {
+      errors.push(getMessage('validationInvalidSelector', `${path}.${field}`));
+    }
+  };
+
+  if (strategy.type === 'css') {
+    requireSelector('selector');
+  } else if (strategy.type === 'viewName') {
+    requireString('value');
+    requireSelector('within', true);
+  } else if (strategy.type === 'aria') {
+    requireString('label');
+    requireSelector('within', true);
+  } else if (strategy.type === 'text') {
+    if (!Array.isArray(strategy.match) || strategy.match.length === 0 ||
+        !strategy.match.every(text => typeof text === 'string' && text.trim() !== '')) {
+      errors.push(getMessage('validationNonEmptyStringList', `${path}.match`));
+    } else {
+      strategy.match.forEach((text, index) => {
+        if (text.trim().length > TEXT_MATCH_MAX_LENGTH) {
+          errors.push(getMessage('validationStringMax', [`${path}.match[${index}]`, TEXT_MATCH_MAX_LENGTH]));
+        }
+      });
+    }
+    requireSelector('candidates');
+    requireSelector('container', true);
+    requireSelector('exclude', true);
+    requireSelector('within', true);
+  }
+
+  if (strategy.cssOnly !== undefined && typeof strategy.cssOnly !== 'boolean') {
+    errors.push(getMessage('validationBoolean', `${path}.cssOnly`));
+  }
+
+  if (strategy.fallback !== undefined && typeof strategy.fallback !== 'boolean') {
+    errors.push(getMessage('validationBoolean', `${path}.fallback`));
+  }
+
+  if (strategy.leafOnly !== undefined && typeof strategy.leafOnly !== 'boolean') {
+    errors.push(getMessage('validationBoolean', `${path}.leafOnly`));
+  }
+
+  // Strings end up inside attribute selectors, so quotes would break the generated CSS
+  ['value', 'label'].forEach(field => {
+    if (typeof strategy[field] === 'string' && /["\\]/.test(strategy[field])) {
+      errors.push(getMessage('validationNoQuotes', `${path}.${field}`));
+    }
+  });
+
+  return errors;
+}
+
+// Validate a selector pack against the pack schema, returning a list of problems
+function validateSelectorPack(pack) {
+  const errors = [];
+
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return [getMessage('validationPackNotObject')];
+  }
+
+  if (typeof pack.name !== 'string' || pack.name.trim() === '') {
+    errors.push(getMessage('validationNonEmptyString', 'name'));
+  }
+
+  if (typeof pack.version !== 'string' || pack.version.trim() === '') {
+    errors.push(getMessage('validationNonEmptyString', 'version'));
+  }
+
+  if (!pack.surfaces || typeof pack.surfaces !== 'object' || Array.isArray(pack.surfaces)) {
+    errors.push(getMessage('validationSurfacesObject', 'surfaces'));
+    return errors;
+  }
+
+  const surfaceNames = Object.keys(pack.surfaces);
+  if (surfaceNames.length === 0) {
+    errors.push(getMessage('validationNoSurfaces', 'surfaces'));
+  }
+
+  surfaceNames.forEach(surfaceName => {
+    const entry = pack.surfaces[surfaceName];
+    const path = `surfaces.${surfaceName}`;
+
+    if (!PACK_SURFACES.includes(surfaceName)) {
+      errors.push(getMessage('validationUnknownSurface', [path, PACK_SURFACES.join(', ')]));
+      return;
+    }
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(getMessage('validationNotObject', path));
+      return;
+    }
+
+    if (entry.mode !== undefined && !PACK_MODES.includes(entry.mode)) {
+      errors.push(getMessage('validationOneOf', [`${path}.mode`, PACK_MODES.join(', ')]));
+    }
+
+    if (!Array.isArray(entry.strategies) || entry.strategies.length === 0) {
+      errors.push(getMessage('validationNonEmptyList', `${path}.strategies`));
+      return;
+    }
+
+    entry.strategies.forEach((strategy, index) => {
+      errors.push(...validateStrategy(strategy, `${path}.strategies[${index}]`));
+    });
+  });
+
+  return errors;
+}
+
+// Merge a selector pack into the built-in surfaces without modifying them
+function mergeSelectorPack(pack) {
+  const merged = {};
+
+  Object.keys(SELECTOR_REGISTRY.surfaces).forEach(surfaceName => {
+    const builtIn = SELECTOR_REGISTRY.surfaces[surfaceName];
+    const entry = pack && pack.surfaces ? pack.surfaces[surfaceName] : null;
+
+    if (!entry) {
+      merged[surfaceName] = builtIn;
+      return;
+    }
+
+    // Pack strategies go first so they win over stale built-in ones
+    const strategies = entry.mode === 'override'
+      ? entry.strategies
+      : entry.strategies.concat(builtIn.strategies);
+
+    merged[surfaceName] = Object.assign({}, builtIn, { strategies });
+  });
+
+  return merged;
+}
+
+// Make a validated selector pack (or null for the built-ins) the active one
+function applySelectorPack(pack) {
+  if (pack && validateSelectorPack(pack).length > 0) {
+    console.error('Ignoring invalid selector pack:', pack.name);
+    pack = null;
+  }
+
+  activeSelectorPack = pack || null;
+  activeSurfaces = mergeSelectorPack(activeSelectorPack);
+  return activeSelectorPack !== null;
+}
@@ -0,0 +1,275 @@
+// Typed settings shared by popup.js, options.js and content.js.
+// Every setting is declared once here with its type and default; callers read
+// stored values through resolveSettings() instead of defaulting raw keys themselves.
+//
+// Supported types:
+//   boolean
+//   string   optional maxLength, checked by an optional validate(value) function
+//   number   optional min / max
+//   enum     values lists the allowed strings
+//   array / object, checked by an optional validate(value) function
+//
+// A string or array setting may name its default by message key (defaultMessage) so it
+// follows the browser language; `default` is the English text used when the catalog
+// cannot be read.
+//
+// Validators for scheduleWindows live in schedule.js and getMessage in i18n.js, so load
+// them alongside this file.
+//
+// Administrators can manage settings through chrome.storage.managed (see managed_schema.json):
+//   forcedSettings   values users cannot change
+//   defaultSettings  starting values in place of the built-in defaults
+//   lockedSettings   settings users cannot change, kept at their default
+// The storage wrappers pass the policy along under MANAGED_POLICY_KEY, so every
+// resolveSettings() call applies it.
+
+// Key under which the storage wrappers hand the managed policy to resolveSettings()
+const MANAGED_POLICY_KEY = 'managedPolicy';
+
+// Post types the feed filter can hide
+const FILTER_POST_TYPES = ['reshare', 'poll', 'reaction', 'jobChange', 'promoted', 'suggested'];
+
+// Check that a value is a list of at most `max` short strings
+function isStringList(value, max) {
+  return Array.isArray(value) && value.length <= max &&
+    value.every(item => typeof item === 'string' && item.trim() !== '' && item.length <= 200);
+}
+
+// Check the shape of the feed filter rules, including that every pattern compiles
+function isValidFilterRules(rules) {
+  if (!isStringList(rules.keywords, 200) || !isStringList(rules.authors, 200) ||
+      !isStringList(rules.patterns, 50)) {
+    return false;
+  }
+
+  if (!Array.isArray(rules.postTypes) || !rules.postTypes.every(type => FILTER_POST_TYPES.includes(type))) {
+    return false;
+  }
+
+  return rules.patterns.every(pattern => {
+    try {
+      new RegExp(pattern, 'i');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// Check that a custom redirect target is a LinkedIn page other than the feed itself
+function isValidRedirectUrl(value) {
+  if (value === '') return true;
+
+  try {
+    const url = new URL(value);
+    const isLinkedIn = url.hostname === 'linkedin.com' || url.hostname.endsWith('.linkedin.com');
+    return url.protocol === 'https:' && isLinkedIn && !/^\/(feed\/?)?$/.test(url.pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+const SETTINGS_SCHEMA = {
+  feedBlockerEnabled: { type: 'boolean', default: true },
+  newsBlockerEnabled: { type: 'boolean', default: true },
+  hideMetrics: { type: 'boolean', default: false },
+  hidePymk: { type: 'boolean', default: false },
+  hideNavBadges: { type: 'boolean', default: false },
+  hideMessagingBadge: { type: 'boolean', default: false },
+  hideTitleCount: { type: 'boolean', default: false },
+  replacementTitle: {
+    type: 'string',
+    default: 'LinkedIn Focus Mode',
+    defaultMessage: 'defaultReplacementTitle',
+    maxLength: 80
+  },
+  // Limited Markdown, rendered by markdown.js
+  replacementMessage: {
+    type: 'string',
+    default: 'The feed has been hidden to help you stay productive and focused.\n\n' +
+      'You can use LinkedIn for networking, job searching, and messaging without the distraction of the feed.',
+    defaultMessage: 'defaultReplacementMessage',
+    maxLength: 1000
+  },
+  quotes: {
+    type: 'array',
+    default: [
+      'Focus on your goals, not on your feed.',
+      'Networking is about making connections, not endless scrolling.',
+      'Your productivity matters more than your feed.',
+      'Connect with purpose, not with distraction.'
+    ],
+    defaultMessage: ['defaultQuote1', 'defaultQuote2', 'defaultQuote3', 'defaultQuote4'],
+    validate: (quotes) => isStringList(quotes, 100)
+  },
+  quoteRotation: { type: 'enum', values: ['random', 'sequential', 'daily'], default: 'random' },
+  // Only quotes with one of these tags are shown; empty shows every quote
+  quoteTagFilter: { type: 'array', default: [], validate: (tags) => isStringList(tags, 20) },
+  focusWidgetEnabled: { type: 'boolean', default: true },
+  // Hour at which a new focus day starts
+  focusResetHour: { type: 'number', default: 4, min: 0, max: 23 },
+  focusRollover: { type: 'enum', values: ['keepUnfinished', 'clear'], default: 'keepUnfinished' },
+  scheduleEnabled: { type: 'boolean', default: false },
+  scheduleWindows: {
+    type: 'array',
+    default: [{ name: 'Work hours', days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }],
+    validate: (windows) => windows.length <= 20 && windows.every(isValidScheduleWindow)
+  },
+  unlockMethod: { type: 'enum', values: ['none', 'countdown', 'sentence', 'reason'], default: 'none' },
+  unlockCountdownSeconds: { type: 'number', default: 30, min: 5, max: 600 },
+  unlockSentence: {
+    type: 'string',
+    default: 'I am choosing to scroll the feed instead of doing focused work.',
+    defaultMessage: 'defaultUnlockSentence',
+    maxLength: 300
+  },
+  // 0 means no daily limit
+  maxUnlocksPerDay: { type: 'number', default: 0, min: 0, max: 50 },
+  // block hides the whole feed, filter only hides posts matching filterRules,
+  // promoted only hides promoted and suggested posts and Premium upsell cards,
+  // redirect sends the feed to redirectTarget
+  feedMode: { type: 'enum', values: ['block', 'filter', 'promoted', 'redirect'], default: 'block' },
+  filterRules: {
+    type: 'object',
+    default: { keywords: [], patterns: [], authors: [], postTypes: [] },
+    validate: isValidFilterRules
+  },
+  redirectTarget: {
+    type: 'enum',
+    values: ['messaging', 'jobs', 'profile', 'notifications', 'custom'],
+    default: 'messaging'
+  },
+  redirectCustomUrl: { type: 'string', default: '', maxLength: 500, validate: isValidRedirectUrl },
+  // auto follows LinkedIn's theme on the page and the system theme in the popup
+  theme: { type: 'enum', values: ['auto', 'light', 'dark'], default: 'auto' },
+  statsEnabled: { type: 'boolean', default: true },
+  minutesSavedPerBlockedView: { type: 'number', default: 5, min: 1, max: 60 }
+};
+
+const SETTING_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+// Copy a default so callers can never mutate the schema
+function cloneSettingValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// Check a value against the schema entry for a setting
+function isValidSettingValue(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) return false;
+
+  switch (definition.type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'string':
+      return typeof value === 'string' &&
+        (definition.maxLength === undefined || value.length <= definition.maxLength) &&
+        (!definition.validate || definition.validate(value));
+    case 'number':
+      return typeof value === 'number' && isFinite(value) &&
+        (definition.min === undefined || value >= definition.min) &&
+        (definition.max === undefined || value <= definition.max);
+    case 'enum':
+      return definition.values.includes(value);
+    case 'array':
+      return Array.isArray(value) && (!definition.validate || definition.validate(value));
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        (!definition.validate || definition.validate(value));
+    default:
+      return false;
+  }
+}
+
+// The default of a setting in the browser language, or the English one if a message is missing
+function getLocalizedDefault(definition) {
+  const keys = [].concat(definition.defaultMessage);
+  const messages = keys.map(key => getMessage(key));
+
+  // getMessage answers with the key itself when it finds no message
+  if (messages.some((message, index) => message === keys[index])) {
+    return cloneSettingValue(definition.default);
+  }
+  return Array.isArray(definition.default) ? messages : messages[0];
+}
+
+// Get a full set of default settings
+function getDefaultSettings() {
+  const defaults = {};
+  SETTING_KEYS.forEach(key => {
+    const definition = SETTINGS_SCHEMA[key];
+    defaults[key] = definition.defaultMessage ? getLocalizedDefault(definition) : cloneSettingValue(definition.default);
+  });
+  return defaults;
+}
+
+// Valid settings from one part of the managed policy, such as forcedSettings
+function readPolicySettings(values) {
+  const clean = {};
+  if (!values || typeof values !== 'object') return clean;
+
+  Object.keys(values).forEach(key => {
+    if (isValidSettingValue(key, values[key])) {
+      clean[key] = cloneSettingValue(values[key]);
+    }
+  });
+  return clean;
+}
+
+// Settings the managed policy fixes, with the values they are fixed to
+function getManagedSettings(stored) {
+  const policy = (stored && stored[MANAGED_POLICY_KEY]) || {};
+  const defaults = Object.assign(getDefaultSettings(), readPolicySettings(policy.defaultSettings));
+  const locked = Array.isArray(policy.lockedSettings) ? policy.lockedSettings : [];
+
+  const managed = {};
+  locked.filter(key => SETTINGS_SCHEMA[key]).forEach(key => {
+    managed[key] = defaults[key];
+  });
+  return Object.assign(managed, readPolicySettings(policy.forcedSettings));
+}
+
+// Names of the settings users cannot change
+function getLockedSettingKeys(stored) {
+  return Object.keys(getManagedSettings(stored));
+}
+
+// The snooze in effect: none while the managed policy fixes the feed blocker
+function getEffectiveSnoozeUntil(stored) {
+  if (!stored || getLockedSettingKeys(stored).includes('feedBlockerEnabled')) return 0;
+  return stored.snoozeUntil || 0;
+}
+
+// Turn raw storage contents into a complete, valid settings object, with the managed
+// policy's defaults below the stored values and its fixed settings above them
+function resolveSettings(stored) {
+  const settings = getDefaultSettings();
+  if (!stored) return settings;
+
+  const policy = stored[MANAGED_POLICY_KEY] || {};
+  Object.assign(settings, readPolicySettings(policy.defaultSettings));
+
+  SETTING_KEYS.forEach(key => {
+    if (stored[key] !== undefined && isValidSettingValue(key, stored[key])) {
+      settings[key] = stored[key];
+    }
+  });
+
+  return Object.assign(settings, getManagedSettings(stored));
+}
+
+// Keep only known settings with valid values, ready to be written to storage
+function sanitizeSettings(patch) {
+  const clean = {};
+  if (!patch || typeof patch !== 'object') return clean;
+
+  Object.keys(patch).forEach(key => {
+    if (isValidSettingValue(key, patch[key])) {
+      clean[key] = patch[key];
+    } else {
+      console.error(`Ignoring invalid value for setting ${key}`);
+    }
+  });
+
+  return clean;
+}
@@ -0,0 +1,80 @@
+// Local usage statistics, aggregated per day in chrome.storage.local under usageStats:
+//   { '2025-03-14': { blockedViews: 4, disables: 1, snoozes: 2, linkedinSeconds: 1260 } }
+// Nothing here is ever sent anywhere; the popup and options page only read it back.
+// Every increment goes through the background worker, which writes them one at a time so
+// counts recorded by several tabs at once are not lost.
+
+const USAGE_FIELDS = ['blockedViews', 'disables', 'snoozes', 'linkedinSeconds'];
+
+// Days older than this are dropped whenever a new value is recorded
+const USAGE_RETENTION_DAYS = 60;
+
+// Key a date by its local calendar day
+function getDayKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Return new stats with `amount` added to a field for the day of `date`
+function addUsage(stats, date, field, amount = 1) {
+  const updated = stats && typeof stats === 'object' ? Object.assign({}, stats) : {};
+  const dayKey = getDayKey(date);
+  const day = Object.assign({}, updated[dayKey]);
+
+  day[field] = (day[field] || 0) + amount;
+  updated[dayKey] = day;
+
+  // Keys sort chronologically, so anything below the cutoff key is too old
+  const cutoff = getDayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - USAGE_RETENTION_DAYS));
+  Object.keys(updated).forEach(key => {
+    if (key < cutoff) delete updated[key];
+  });
+
+  return updated;
+}
+
+// Add to today's usage statistics; the background worker skips it if statistics are off
+function recordUsage(field, amount = 1, callback) {
+  try {
+    chrome.runtime.sendMessage({ action: 'recordUsage', field: field, amount: amount }, function() {
+      // Nothing to do if the worker could not be reached; the count is lost either way
+      void chrome.runtime.lastError;
+      if (callback) callback();
+    });
+  } catch (e) {
+    // The extension context is gone, e.g. after an update in an open tab
+  }
+}
+
+// Sum every field over the last `days` days, today included
+function summarizeUsage(stats, now, days) {
+  const totals = {};
+  USAGE_FIELDS.forEach(field => {
+    totals[field] = 0;
+  });
+
+  for (let offset = 0; offset < days; offset++) {
+    const day = stats && stats[getDayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset))];
+    if (!day) continue;
+
+    USAGE_FIELDS.forEach(field => {
+      totals[field] += day[field] || 0;
+    });
+  }
+
+  return totals;
+}
+
+// Estimated minutes saved: every blocked visit is assumed to spare a scroll session
+function estimateMinutesSaved(totals, settings) {
+  return totals.blockedViews * settings.minutesSavedPerBlockedView;
+}
+
+// Format minutes as '45 min' or '2 hr 5 min', with units in the browser's language
+function formatMinutes(minutes) {
+  const rounded = Math.round(minutes);
+  const format = (value, unit) =>
+    new Intl.NumberFormat(undefined, { style: 'unit', unit: unit, unitDisplay: 'short' }).format(value);
+
+  if (rounded < 60) return format(rounded, 'minute');
+  return `${format(Math.floor(rounded / 60), 'hour')} ${format(rounded % 60, 'minute')}`;
+}
@@ -0,0 +1,266 @@
+// Storage wrappers shared by the extension pages (popup and options), the content script
+// and the background worker.
+//
+// Settings live in chrome.storage.sync so they follow the user to every browser they sign
+// in to; everything else (quote packs, statistics, the unlock log, the focus list, selector
+// packs, the snooze, the PIN lock) is large or only makes sense on one device and stays in
+// chrome.storage.local. Callers do not pick an area: the wrappers route every key.
+//
+// Conflicts resolve the same way on every device:
+//   - each setting is its own sync item, so edits to different settings on two devices
+//     both survive, and two edits to the same setting end with the later write
+//   - a setting too large for one sync item, or that sync refused, is kept in local on
+//     that device only, and a local copy of a setting always wins over the synced one
+//   - migrating old local settings never overwrites a value already in sync
+//   - settings fixed by an administrator in chrome.storage.managed win over both
+
+// Bytes one chrome.storage.sync item may hold, key included
+const SYNC_ITEM_LIMIT = 8192;
+
+// Version of the stored layout, recorded per device in local under settingsVersion.
+// 1: every setting in local; 2: settings in sync
+const SETTINGS_VERSION = 2;
+
+// Upgrade steps, each bringing stored data from the version before it; `state` holds
+// plain copies of both areas and is changed in place
+const SETTINGS_MIGRATIONS = [
+  { version: 2, migrate: moveSettingsToSync }
+];
+
+// Whether a key belongs in chrome.storage.sync
+function isSyncedKey(key) {
+  return SETTING_KEYS.includes(key);
+}
+
+// Whether a value fits in a single sync item
+function fitsSyncItem(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length <= SYNC_ITEM_LIMIT;
+}
+
+// Read the administrator policy; a browser without one, or without managed storage, has an empty policy
+function getManagedPolicy(callback) {
+  try {
+    chrome.storage.managed.get(null, function(policy) {
+      callback(chrome.runtime.lastError || !policy ? {} : policy);
+    });
+  } catch (error) {
+    callback({});
+  }
+}
+
+// Read keys from both areas; a setting stored locally wins over its synced copy. When
+// settings are read, the managed policy comes along under MANAGED_POLICY_KEY.
+// Calls back with the merged result and the first error, if any
+function getFromStorageAreas(keys, callback) {
+  const syncKeys = keys.filter(isSyncedKey);
+
+  chrome.storage.local.get(keys, function(local) {
+    const localError = chrome.runtime.lastError;
+    if (localError) {
+      callback({}, localError);
+      return;
+    }
+
+    if (syncKeys.length === 0) {
+      callback(local, null);
+      return;
+    }
+
+    chrome.storage.sync.get(syncKeys, function(synced) {
+      const syncError = chrome.runtime.lastError || null;
+      const result = Object.assign({}, syncError ? {} : synced, local);
+
+      getManagedPolicy(function(policy) {
+        result[MANAGED_POLICY_KEY] = policy;
+        callback(result, syncError);
+      });
+    });
+  });
+}
+
+// Write settings to sync and everything else to local; calls back with the first error, if any
+function setInStorageAreas(data, callback) {
+  const synced = {};
+  const local = {};
+
+  Object.keys(data).forEach(key => {
+    if (isSyncedKey(key) && fitsSyncItem(key, data[key])) {
+      synced[key] = data[key];
+    } else {
+      local[key] = data[key];
+    }
+  });
+
+  const writeLocal = function(error) {
+    chrome.storage.local.set(local, function() {
+      callback(chrome.runtime.lastError || error);
+    });
+  };
+
+  if (Object.keys(synced).length === 0) {
+    writeLocal(null);
+    return;
+  }
+
+  chrome.storage.sync.set(synced, function() {
+    if (chrome.runtime.lastError) {
+      // Out of sync quota or rate limited: keep the change on this device rather than lose it
+      console.error('Error writing to sync storage, keeping settings local:', chrome.runtime.lastError);
+      Object.assign(local, synced);
+      writeLocal(null);
+      return;
+    }
+
+    // Drop local copies so they no longer shadow the values just synced
+    chrome.storage.local.remove(Object.keys(synced), function() {
+      writeLocal(chrome.runtime.lastError || null);
+    });
+  });
+}
+
+// Remove keys from both areas; calls back with the first error, if any
+function removeFromStorageAreas(keys, callback) {
+  const syncKeys = keys.filter(isSyncedKey);
+
+  chrome.storage.local.remove(keys, function() {
+    const localError = chrome.runtime.lastError || null;
+    if (syncKeys.length === 0) {
+      callback(localError);
+      return;
+    }
+
+    chrome.storage.sync.remove(syncKeys, function() {
+      callback(localError || chrome.runtime.lastError || null);
+    });
+  });
+}
+
+// Safe wrapper for reading from storage
+function safeStorageGet(keys, callback) {
+  try {
+    getFromStorageAreas(keys, function(result, error) {
+      if (error) {
+        console.error('Error getting from storage:', error);
+      }
+
+      callback(result);
+    });
+  } catch (error) {
+    console.error('Error in storage get:', error);
+    callback({});
+  }
+}
+
+// Safe wrapper for writing to storage
+function safeStorageSet(data, callback) {
+  try {
+    setInStorageAreas(data, function(error) {
+      if (error) {
+        console.error('Error setting storage:', error);
+        if (callback) callback(false);
+        return;
+      }
+
+      if (callback) callback(true);
+    });
+  } catch (error) {
+    console.error('Error in storage set:', error);
+    if (callback) callback(false);
+  }
+}
+
+// Safe wrapper for removing from storage
+function safeStorageRemove(keys, callback) {
+  try {
+    removeFromStorageAreas(keys, function(error) {
+      if (error) {
+        console.error('Error removing from storage:', error);
+        if (callback) callback(false);
+        return;
+      }
+
+      if (callback) callback(true);
+    });
+  } catch (error) {
+    console.error('Error in storage remove:', error);
+    if (callback) callback(false);
+  }
+}
+
+// Version 2: move settings from local to sync. A setting another device already synced
+// keeps its synced value; one too large for sync stays local
+function moveSettingsToSync(state) {
+  SETTING_KEYS.forEach(key => {
+    if (state.local[key] === undefined) return;
+
+    if (state.sync[key] === undefined) {
+      if (!fitsSyncItem(key, state.local[key])) return;
+      state.sync[key] = state.local[key];
+    }
+    delete state.local[key];
+  });
+}
+
+// Bring this device's stored data up to SETTINGS_VERSION; run on install and update
+function migrateStoredSettings(callback) {
+  const done = callback || function() {};
+
+  try {
+    chrome.storage.local.get(null, function(local) {
+      const from = local.settingsVersion || 1;
+      if (chrome.runtime.lastError || from >= SETTINGS_VERSION) {
+        done();
+        return;
+      }
+
+      chrome.storage.sync.get(null, function(synced) {
+        const state = {
+          local: JSON.parse(JSON.stringify(local)),
+          sync: chrome.runtime.lastError ? {} : JSON.parse(JSON.stringify(synced))
+        };
+        SETTINGS_MIGRATIONS
+          .filter(step => step.version > from)
+          .forEach(step => step.migrate(state));
+
+        writeMigratedState(local, synced || {}, state, done);
+      });
+    });
+  } catch (error) {
+    console.error('Error migrating settings:', error);
+    done();
+  }
+}
+
+// Store the result of the migration steps, writing only what changed
+function writeMigratedState(local, synced, state, callback) {
+  const changed = (before, after) => Object.keys(after)
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  const syncPatch = {};
+  changed(synced, state.sync).forEach(key => {
+    syncPatch[key] = state.sync[key];
+  });
+
+  chrome.storage.sync.set(syncPatch, function() {
+    if (chrome.runtime.lastError) {
+      // Leave local untouched so nothing is lost; the next update tries again
+      console.error('Error migrating settings to sync:', chrome.runtime.lastError);
+      callback();
+      return;
+    }
+
+    const localPatch = { settingsVersion: SETTINGS_VERSION };
+    changed(local, state.local).forEach(key => {
+      localPatch[key] = state.local[key];
+    });
+    const removed = Object.keys(local).filter(key => !(key in state.local));
+
+    chrome.storage.local.remove(removed, function() {
+      chrome.storage.local.set(localPatch, function() {
+        if (chrome.runtime.lastError) {
+          console.error('Error recording settings version:', chrome.runtime.lastError);
+        }
+        callback();
+      });
+    });
+  });
+}
@@ -0,0 +1,84 @@
+// Visible label text LinkedIn uses for surfaces whose class names are obfuscated
+// or change too often to rely on. Tables are keyed by the page language taken from
+// <html lang>; English is always checked as well, since LinkedIn leaves some labels
+// untranslated. An entry is either an exact string or a RegExp, used for labels that
+// carry a number such as "1,234 followers".
+
+const LABEL_TEXTS = {
+  en: {
+    news: ['LinkedIn News', "Today's news"],
+    promoted: ['Promoted', 'Sponsored'],
+    suggested: ['Suggested', 'Recommended for you'],
+    premiumUpsell: ['Try Premium for free', 'Try Premium for $0', 'Reactivate Premium', 'Try Premium'],
+    metrics: [/^[\d.,]+[KM]?(-[\d.,]+[KM]?)?\+? (followers?|connections?|employees|profile viewers?|impressions?|reactions?|comments?|reposts?)$/i],
+    pymk: ['People you may know', 'More suggestions for you']
+  },
+  de: {
+    news: ['LinkedIn News', 'Aktuelle Nachrichten'],
+    promoted: ['Gesponsert', 'Anzeige'],
+    suggested: ['Vorgeschlagen', 'Empfehlungen für Sie', 'Für Sie empfohlen'],
+    premiumUpsell: ['Premium gratis testen', 'Premium kostenlos testen', 'Premium reaktivieren'],
+    metrics: [/^[\d.,]+(-[\d.,]+)?\+? (Follower|Kontakte?|Beschäftigte|Mitarbeitende|Profilaufrufe|Impressionen|Reaktionen|Kommentare?|Reposts?)$/i],
+    pymk: ['Personen, die Sie kennen könnten', 'Weitere Vorschläge für Sie']
+  },
+  fr: {
+    news: ['LinkedIn Actualités', 'Actualités du jour'],
+    promoted: ['Post sponsorisé', 'Sponsorisé'],
+    suggested: ['Suggestions', 'Suggéré', 'Recommandé pour vous'],
+    premiumUpsell: ['Essayer Premium gratuitement', 'Essai gratuit de Premium', 'Réactiver Premium'],
+    metrics: [/^[\d.,\s]+(-[\d.,\s]+)?\+? (abonnés?|relations?|employés|vues du profil|impressions?|réactions?|commentaires?|republications?)$/i],
+    pymk: ['Les personnes que vous pourriez connaître', 'Vous connaissez peut-être']
+  },
+  es: {
+    news: ['LinkedIn Noticias', 'Noticias de hoy'],
+    promoted: ['Promocionado', 'Patrocinado'],
+    suggested: ['Sugerencias', 'Sugerido', 'Recomendado para ti'],
+    premiumUpsell: ['Prueba Premium gratis', 'Reactivar Premium'],
+    metrics: [/^[\d.,]+(-[\d.,]+)?\+? (seguidores?|contactos?|empleados|visualizaciones del perfil|impresiones|reacciones|comentarios?|veces compartido)$/i],
+    pymk: ['Personas que quizá conozcas', 'Más sugerencias para ti']
+  },
+  pt: {
+    news: ['LinkedIn Notícias', 'Notícias de hoje'],
+    promoted: ['Promovido', 'Patrocinado'],
+    suggested: ['Sugestões', 'Sugerido', 'Recomendado para você'],
+    premiumUpsell: ['Experimente Premium grátis', 'Reativar Premium'],
+    metrics: [/^[\d.,]+(-[\d.,]+)?\+? (seguidores?|conexões|funcionários|visualizações do perfil|impressões|reações|comentários?|compartilhamentos?)$/i],
+    pymk: ['Pessoas que talvez você conheça', 'Mais sugestões para você']
+  },
+  it: {
+    news: ['LinkedIn Notizie', 'Notizie del giorno'],
+    promoted: ['Promosso', 'Sponsorizzato'],
+    suggested: ['Suggerimenti', 'Suggerito', 'Consigliato per te'],
+    premiumUpsell: ['Prova Premium gratis', 'Riattiva Premium'],
+    metrics: [/^[\d.,]+(-[\d.,]+)?\+? (follower|collegamenti|dipendenti|visualizzazioni del profilo|impressioni|reazioni|commenti|diffusioni)$/i],
+    pymk: ['Persone che potresti conoscere', 'Altri suggerimenti per te']
+  },
+  nl: {
+    news: ['LinkedIn Nieuws', 'Nieuws van vandaag'],
+    promoted: ['Gepromoot', 'Gesponsord'],
+    suggested: ['Voorgesteld', 'Aanbevolen voor u'],
+    premiumUpsell: ['Probeer Premium gratis', 'Premium opnieuw activeren'],
+    metrics: [/^[\d.,]+(-[\d.,]+)?\+? (volgers?|connecties|medewerkers|profielweergaven|weergaven|reacties|opmerkingen|reposts?)$/i],
+    pymk: ['Mensen die u misschien kent', 'Meer suggesties voor u']
+  }
+};
+
+// Primary language subtag of the page, e.g. 'de' for <html lang="de-DE">
+function getPageLanguage() {
+  const lang = (document.documentElement && document.documentElement.lang) || 'en';
+  return lang.toLowerCase().split(/[-_]/)[0];
+}
+
+// Every label text of a kind for the page language, English included
+function getLabelTexts(kind) {
+  const local = (LABEL_TEXTS[getPageLanguage()] || {})[kind] || [];
+  const english = LABEL_TEXTS.en[kind] || [];
+  return local.concat(english.filter(text => !local.includes(text)));
+}
+
+// Whether a piece of visible text is exactly one of the labels of a kind
+function matchesLabel(text, kind) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  return getLabelTexts(kind).some(label =>
+    label instanceof RegExp ? label.test(normalized) : label === normalized);
+}
@@ -0,0 +1,30 @@
+// Light and dark theme for the elements feedless adds to LinkedIn pages. In auto mode
+// they follow LinkedIn's own theme; blocker.css styles them from color tokens keyed
+// off THEME_ATTRIBUTE on <html>. The popup follows prefers-color-scheme in its own CSS.
+
+// Set on <html> of LinkedIn pages to 'light' or 'dark'
+const THEME_ATTRIBUTE = 'data-feedless-theme';
+
+// Whether a computed CSS color such as 'rgb(27, 31, 35)' is dark; transparent counts as light
+function isDarkColor(color) {
+  const match = /rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)(?:[,\s/]+([\d.]+))?/.exec(color || '');
+  if (!match) return false;
+  if (match[4] !== undefined && Number(match[4]) === 0) return false;
+
+  const [red, green, blue] = match.slice(1, 4).map(Number);
+  return 0.299 * red + 0.587 * green + 0.114 * blue < 128;
+}
+
+// LinkedIn's active theme, from its root theme class or else from the page background
+function detectLinkedInTheme() {
+  const classes = Array.from(document.documentElement.classList);
+  if (classes.some(name => /^theme--.*dark/.test(name))) return 'dark';
+  if (classes.some(name => /^theme--.*light/.test(name))) return 'light';
+
+  return document.body && isDarkColor(getComputedStyle(document.body).backgroundColor) ? 'dark' : 'light';
+}
+
+// The theme to render with: the user's choice, or the detected one for 'auto'
+function resolveTheme(preference, detect) {
+  return preference === 'light' || preference === 'dark' ? preference : detect();
+}
@@ -0,0 +1,221 @@
+// Intentional unlock: the friction a user must go through before the feed blocker
+// can be disabled or snoozed, and the local log of those unlocks.
+// The popup runs the gate for its switch and snooze buttons, the options page for any
+// settings change that loosens blocking, and also shows the log.
+// The gate needs getMessage from i18n.js and the storage wrappers from storage.js.
+
+// Oldest entries are dropped beyond this many
+const UNLOCK_LOG_LIMIT = 200;
+
+// Minimum length of a stated reason
+const UNLOCK_REASON_MIN_LENGTH = 10;
+
+// Settings that make up the gate itself
+const UNLOCK_SETTING_KEYS = ['unlockMethod', 'unlockCountdownSeconds', 'unlockSentence', 'maxUnlocksPerDay'];
+
+// Feed modes that keep every post out of sight while the blocker is on
+const FEED_HIDING_MODES = ['block', 'redirect'];
+
+// Countdown timer of the gate on screen
+let unlockCountdownId = null;
+
+// Whether turning the blocker off needs to go through the gate at all
+function isUnlockGated(settings) {
+  return settings.unlockMethod !== 'none' || settings.maxUnlocksPerDay > 0;
+}
+
+// Count the unlocks logged on the same calendar day as `now`
+function countUnlocksToday(log, now) {
+  if (!Array.isArray(log)) return 0;
+  const today = now.toDateString();
+  return log.filter(entry => entry && new Date(entry.time).toDateString() === today).length;
+}
+
+// Whether the daily unlock allowance has been used up
+function isUnlockLimitReached(settings, log, now) {
+  return settings.maxUnlocksPerDay > 0 && countUnlocksToday(log, now) >= settings.maxUnlocksPerDay;
+}
+
+// Return a new log with an entry appended, trimmed to the size limit
+function addUnlockLogEntry(log, entry) {
+  const entries = Array.isArray(log) ? log.slice() : [];
+  entries.push(entry);
+  return entries.slice(-UNLOCK_LOG_LIMIT);
+}
+
+// Compare a typed sentence with the configured one, ignoring case and extra spaces
+function matchesUnlockSentence(typed, sentence) {
+  const normalize = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+  return normalize(typed) !== '' && normalize(typed) === normalize(sentence);
+}
+
+// Whether a settings change loosens blocking: it turns the blocker off, switches to a mode
+// that shows the feed, opens the feed at any time in the coming week through the schedule,
+// or changes the gate itself
+function weakensBlocking(before, after, now) {
+  const hidesFeed = (settings) => settings.feedBlockerEnabled && FEED_HIDING_MODES.includes(settings.feedMode);
+  const gateChanged = UNLOCK_SETTING_KEYS.some(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+  return (before.feedBlockerEnabled && !after.feedBlockerEnabled) ||
+    (hidesFeed(before) && !hidesFeed(after)) ||
+    (before.feedBlockerEnabled && scheduleOpensFeed(before, after, now)) ||
+    (isUnlockGated(before) && gateChanged);
+}
+
+// Run the configured unlock gate in `gate`, then log the unlock and call onGranted.
+// `action` is 'disable' or 'snooze'; onCancelled runs if the user keeps blocking
+function requestUnlock(action, gate, onGranted, onCancelled) {
+  safeStorageGet(SETTING_KEYS.concat('unlockLog'), function(result) {
+    const settings = resolveSettings(result);
+    const log = result.unlockLog;
+    const now = new Date();
+
+    if (!isUnlockGated(settings)) {
+      onGranted();
+      return;
+    }
+
+    const grant = (reason) => {
+      const entry = { time: Date.now(), action: action, method: settings.unlockMethod };
+      if (reason) entry.reason = reason;
+
+      safeStorageSet({ unlockLog: addUnlockLogEntry(log, entry) }, function() {
+        hideUnlockGate(gate);
+        onGranted();
+      });
+    };
+    const cancel = () => {
+      hideUnlockGate(gate);
+      if (onCancelled) onCancelled();
+    };
+
+    if (isUnlockLimitReached(settings, log, now)) {
+      showUnlockGate(gate, { action: action, method: 'limit', settings: settings, grant: null, cancel: cancel });
+      return;
+    }
+
+    // Only a daily limit is configured, so just count this unlock
+    if (settings.unlockMethod === 'none') {
+      grant();
+      return;
+    }
+
+    showUnlockGate(gate, { action: action, method: settings.unlockMethod, settings: settings, grant: grant, cancel: cancel });
+  });
+}
+
+// Build the gate for one unlock method into a container and show it
+function showUnlockGate(gate, unlock) {
+  const settings = unlock.settings;
+  gate.textContent = '';
+
+  const title = document.createElement('h2');
+  const message = document.createElement('p');
+
+  const prompt = document.createElement('div');
+  prompt.className = 'unlock-prompt';
+  prompt.hidden = unlock.method !== 'sentence';
+
+  const input = document.createElement('textarea');
+  input.rows = 3;
+  input.hidden = unlock.method !== 'sentence' && unlock.method !== 'reason';
+  input.addEventListener('paste', (event) => {
+    // Typing the sentence is the point, so pasting it is not allowed
+    if (unlock.method === 'sentence') {
+      event.preventDefault();
+    }
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'unlock-actions';
+
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = 'primary';
+  cancelButton.textContent = getMessage(unlock.method === 'limit' ? 'unlockClose' : 'unlockKeepBlocking');
+  cancelButton.addEventListener('click', unlock.cancel);
+  actions.appendChild(cancelButton);
+
+  const confirmButton = document.createElement('button');
+  confirmButton.type = 'button';
+  confirmButton.hidden = unlock.method === 'limit';
+  confirmButton.textContent = getMessage(unlock.action === 'snooze' ? 'unlockShowFeed' : 'unlockTurnOff');
+  actions.appendChild(confirmButton);
+
+  // Enable the confirm button once the gate is satisfied
+  const updateConfirm = () => {
+    let satisfied = false;
+
+    if (unlock.method === 'countdown') {
+      satisfied = unlock.countdownDone === true;
+    } else if (unlock.method === 'sentence') {
+      satisfied = matchesUnlockSentence(input.value, settings.unlockSentence);
+    } else if (unlock.method === 'reason') {
+      satisfied = input.value.trim().length >= UNLOCK_REASON_MIN_LENGTH;
+    }
+
+    confirmButton.disabled = !satisfied;
+  };
+
+  input.addEventListener('input', updateConfirm);
+  confirmButton.addEventListener('click', () => {
+    if (!unlock.grant || confirmButton.disabled) return;
+    confirmButton.disabled = true;
+    unlock.grant(unlock.method === 'reason' ? input.value.trim() : '');
+  });
+
+  if (unlock.method === 'limit') {
+    title.textContent = getMessage('unlockLimitTitle');
+    message.textContent = getMessage('unlockLimitMessage', settings.maxUnlocksPerDay);
+  } else if (unlock.method === 'countdown') {
+    title.textContent = getMessage('unlockCountdownTitle');
+    let secondsLeft = settings.unlockCountdownSeconds;
+
+    const tick = () => {
+      unlock.countdownDone = secondsLeft <= 0;
+      message.textContent = unlock.countdownDone
+        ? getMessage('unlockCountdownDone')
+        : getMessage('unlockCountdownWait', secondsLeft);
+      updateConfirm();
+
+      if (unlock.countdownDone) {
+        clearInterval(unlockCountdownId);
+        unlockCountdownId = null;
+      }
+      secondsLeft--;
+    };
+
+    clearInterval(unlockCountdownId);
+    tick();
+    if (!unlock.countdownDone) {
+      unlockCountdownId = setInterval(tick, 1000);
+    }
+  } else if (unlock.method === 'sentence') {
+    title.textContent = getMessage('unlockSentenceTitle');
+    message.textContent = getMessage('unlockSentenceMessage');
+    prompt.textContent = settings.unlockSentence;
+  } else if (unlock.method === 'reason') {
+    title.textContent = getMessage('unlockReasonTitle');
+    message.textContent = getMessage('unlockReasonMessage');
+    input.placeholder = getMessage('unlockReasonPlaceholder');
+  }
+
+  updateConfirm();
+  gate.append(title, message, prompt, input, actions);
+  gate.hidden = false;
+
+  if (!input.hidden) {
+    input.focus();
+  }
+}
+
+// Close the gate without unlocking
+function hideUnlockGate(gate) {
+  if (unlockCountdownId) {
+    clearInterval(unlockCountdownId);
+    unlockCountdownId = null;
+  }
+
+  gate.hidden = true;
+  gate.textContent = '';
+}